@@ -1,112 +1,82 @@
-import { useEffect, useMemo, useState } from 'react'
-import { beginLogin, handleRedirectCallback, getStoredAccessToken, clearTokens, hasRefreshToken, getValidAccessToken } from './spotifyAuth.js'
-import { getPlaylistsWithTracks, getCurrentUserProfile } from './spotifyApi.js'
+import { Fragment, useCallback, useDeferredValue, useEffect, useMemo, useRef, useState } from 'react'
+import {
+  adoptLegacyTokens,
+  beginLogin,
+  clearTokens,
+  getActiveAccountId,
+  getSessionState,
+  handleRedirectCallback,
+  keepSessionsFresh,
+  listAccounts,
+  onSessionChange,
+  setActiveAccount,
+} from './spotifyAuth.js'
+import { getPlaylistsWithTracks, getCurrentUserProfile, LIKED_SONGS_ID, SpotifyApiError, isAbortError } from './spotifyApi.js'
 import { sanitizePlaylistsForStorage } from './sanitize.js'
-import { loadPlaylistsCache, savePlaylistsCache, purgeCache as purgeCacheDb } from './cacheDb.js'
+import { buildLibrary, findTrackAppearances, isLikedPlaylist, normalizeData } from './normalize.js'
+import { isOwnedPlaylist } from './libraryStats.js'
+import { mergePlays } from './streamingHistory.js'
+import { runInWorker } from './libraryWorker.js'
+import { filterTracks, searchLibrary, highlightParts, matchesPlaylist, parseQuery } from './search.js'
+import { EXPORT_FORMATS, exportPlaylist, exportPlaylistsZip, safeFileName } from './exporters.js'
+import { useVirtualRows } from './useVirtualRows.js'
+import { TRACK_COLUMNS, formatDuration, loadTrackTableLayout, nextSort, saveTrackTableLayout, sortTrackRows, visibleColumns } from './trackTable.js'
+import { FileInput, StatBadge, SegmentedControl } from './ui.jsx'
+import ListeningStats from './ListeningStats.jsx'
+import DuplicatesView from './DuplicatesView.jsx'
+import CompareView from './CompareView.jsx'
+import HistoryView from './HistoryView.jsx'
+import LockMenu, { UnlockScreen } from './VaultLock.jsx'
+import { getAutoLockMinutes, isVaultEnabled, isVaultUnlocked, lockVault, onVaultChange } from './vault.js'
+import {
+  countCachedTracksAddedSince,
+  findCachedTrackAppearances,
+  formatBytes,
+  listSnapshots,
+  loadCachedPlaylistSummaries,
+  loadCachedPlaylistTracks,
+  loadMigrationStatuses,
+  loadPlaylistsCache,
+  loadSnapshot,
+  purgeCache as purgeCacheDb,
+  restoreSnapshot,
+  saveMigrationStatuses,
+  savePlaylistsCache,
+  snapshotName,
+  StorageQuotaError,
+} from './cacheDb.js'
+import { buildProviderUrl, loadProviderSettings, queryModeFor, resolveProviders, saveProviderSettings, withExactTrack } from './providers.js'
+import { buildSearchQuery } from './searchQuery.js'
+import ProvidersMenu from './ProvidersMenu.jsx'
+import SaveToSpotifyMenu, { WritePlanPreview } from './SpotifyWriter.jsx'
+import { canEditPlaylist } from './playlistWrites.js'
+import { MIGRATION_STATUSES, playlistMigrationProgress, trackStatus, withTrackStatus } from './migration.js'
 
 function classNames(...classes) {
   return classes.filter(Boolean).join(' ')
 }
 
-function readJsonFile(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader()
-    reader.onerror = () => reject(new Error('Failed to read file'))
-    reader.onload = () => {
-      try {
-        const text = reader.result
-        const json = JSON.parse(text)
-        resolve(json)
-      } catch (e) {
-        reject(e)
-      }
-    }
-    reader.readAsText(file)
-  })
+// Why a Spotify call had no usable token, by session state (see spotifyAuth.js)
+const SESSION_ERRORS = {
+  'signed-out': 'Not signed in to Spotify. Connect your account first.',
+  expired: 'Your Spotify session expired and couldn’t be renewed. Sign in again to continue.',
+  revoked: 'Spotify no longer accepts this sign-in, for example because access was removed in your Spotify account settings. Sign in again to continue.',
 }
 
-function detectSchema(data) {
-  // Heuristic: accept objects with playlists, or arrays of playlists/tracks
-  if (Array.isArray(data)) return { type: 'arrayRoot' }
-  if (data && typeof data === 'object') {
-    if (Array.isArray(data.playlists)) return { type: 'objectWithPlaylists' }
-    if (Array.isArray(data.items)) return { type: 'objectWithItems' }
-  }
-  return { type: 'unknown' }
-}
-
-function normalizeData(data) {
-  const schema = detectSchema(data)
-  let playlists = []
-
-  const ensureTrack = (t) => {
-    // Attempt to normalize common Spotify dump fields
-    const track = t.track || t
-    const rawArtists = track?.artists || track?.artist || []
-    const album = track?.album || t.album || null
-    const title = track?.name || track?.title || t.title || t.name || 'Unknown'
-    const addedAt = t.added_at || t.addedAt || track?.added_at || null
-    const uri = track?.uri || t.uri || null
-    const durationMs = track?.duration_ms || t.duration_ms || null
-    const artists = Array.isArray(rawArtists)
-      ? rawArtists.map((a) => (typeof a === 'string' ? a : a?.name)).filter(Boolean)
-      : [typeof rawArtists === 'string' ? rawArtists : rawArtists?.name].filter(Boolean)
-    return {
-      title,
-      artists,
-      album: typeof album === 'string' ? album : album?.name ?? null,
-      addedAt,
-      uri,
-      durationMs,
-      raw: t,
+function describeError(e) {
+  if (e instanceof SpotifyApiError) {
+    if (e.isRateLimited) {
+      const wait = e.retryAfterMs ? ` Try again in ${Math.ceil(e.retryAfterMs / 1000)}s.` : ' Try again in a moment.'
+      return `Spotify is rate limiting requests (gave up after ${e.attempts} attempts).${wait}`
     }
+    if (e.isUnauthorized) return SESSION_ERRORS[e.session] || SESSION_ERRORS.expired
+    if (e.kind === 'network') return `Could not reach Spotify (${e.attempts} attempts). Check your connection and try again.`
+    return `${e.message} (${e.endpoint})`
   }
-
-  const ensurePlaylist = (p) => {
-    const name = p.name || p.title || 'Untitled playlist'
-    const owner = p.owner || p.user || null
-    const items = p.items || p.tracks || p.contents || []
-    const tracks = (Array.isArray(items) ? items : []).map(ensureTrack)
-    return { name, owner, tracks, raw: p }
-  }
-
-  if (schema.type === 'objectWithPlaylists') {
-    playlists = (data.playlists || []).map(ensurePlaylist)
-  } else if (schema.type === 'objectWithItems') {
-    playlists = [{ name: 'All Items', owner: null, tracks: (data.items || []).map(ensureTrack), raw: data }]
-  } else if (schema.type === 'arrayRoot') {
-    // Guess whether array is playlists or tracks
-    if (data.length && (data[0].items || data[0].tracks)) {
-      playlists = data.map(ensurePlaylist)
-    } else {
-      playlists = [{ name: 'All Items', owner: null, tracks: data.map(ensureTrack), raw: data }]
-    }
-  } else {
-    // Fallback: single bucket
-    playlists = [{ name: 'Data', owner: null, tracks: [], raw: data }]
-  }
-
-  const allTracks = playlists.flatMap((p) => p.tracks)
-  const artists = new Map()
-  for (const t of allTracks) {
-    for (const a of t.artists) {
-      artists.set(a, (artists.get(a) || 0) + 1)
-    }
-  }
-
-  return { playlists, allTracks, artistCounts: artists }
+  return String(e?.message || e)
 }
 
-function StatBadge({ label, value }) {
-  return (
-    <div className="stat-badge">
-      <div className="stat-badge__label">{label}</div>
-      <div className="stat-badge__value">{value}</div>
-    </div>
-  )
-}
-
-function FileDrop({ onFile }) {
+function FileDrop({ onFiles }) {
   const [drag, setDrag] = useState(false)
 
   return (
@@ -120,45 +90,288 @@ function FileDrop({ onFile }) {
       onDrop={(e) => {
         e.preventDefault()
         setDrag(false)
-        const file = e.dataTransfer.files?.[0]
-        if (file) onFile(file)
+        const files = Array.from(e.dataTransfer.files || [])
+        if (files.length) onFiles(files)
       }}
     >
       <div className="file-drop__icon">📁</div>
       <div className="file-drop__help">
-        Drop your Spotify JSON export here or click to choose
+        Drop your Spotify export (ZIP or JSON) or CSV, M3U and XSPF playlists here, or click to choose
+      </div>
+      <FileInput onFiles={onFiles} />
+    </label>
+  )
+}
+
+function ImportReport({ report, onDismiss }) {
+  if (!report) return null
+  const { recognized, skipped } = report
+
+  return (
+    <div className="card padded import-report">
+      <div className="import-report__header">
+        <div className="section-title">Import summary</div>
+        <div className="spacer" />
+        {onDismiss && <button className="btn" onClick={onDismiss}>Dismiss</button>}
+      </div>
+      {recognized.length > 0 && (
+        <ul className="import-report__list">
+          {/* The same file name can come from two archives or drops */}
+          {recognized.map((r, i) => (
+            <li key={`${i}:${r.file}`}>
+              <span className="import-report__ok">✓</span>
+              <span className="truncate" title={r.file}>{r.file}</span>
+              <span className="header-note">
+                {r.kind} · {r.plays != null ? `${r.plays} plays` : `${r.playlists} playlists · ${r.tracks} tracks`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {skipped.length > 0 && (
+        <details className="import-report__skipped">
+          <summary>{skipped.length} file{skipped.length === 1 ? '' : 's'} skipped</summary>
+          <ul className="import-report__list">
+            {skipped.map((r, i) => (
+              <li key={`${i}:${r.file}`}>
+                <span className="import-report__skip">–</span>
+                <span className="truncate" title={r.file}>{r.file}</span>
+                <span className="header-note">{r.reason}</span>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  )
+}
+
+function FetchProgress({ progress, onCancel }) {
+  const total = progress?.playlistsTotal || 0
+  const done = progress?.playlistsDone || 0
+  const pct = total ? Math.min(100, (done / total) * 100) : null
+
+  return (
+    <div className="fetch-progress">
+      <div className="loading-bar" aria-hidden="true">
+        {pct === null
+          ? <div className="bar" />
+          : <div className="bar is-determinate" style={{ width: `${pct}%` }} />}
+      </div>
+      <div className="container fetch-progress__row">
+        <div className="header-note truncate" role="status" aria-live="polite">
+          {total
+            ? `${done} / ${total} playlists · ${(progress.tracksFetched || 0).toLocaleString()} tracks`
+            : 'Listing playlists…'}
+          {progress?.currentPlaylist ? ` · ${progress.currentPlaylist}` : ''}
+        </div>
+        <button className="btn" onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  )
+}
+
+// `progress` comes from importFiles via the library worker
+function ImportProgress({ progress }) {
+  const { phase, file, index = 0, count = 0, loaded = 0, total = 0 } = progress || {}
+  const fileShare = count ? 100 / count : 100
+  const within = phase === 'reading' && total ? Math.min(1, loaded / total) : phase === 'parsing' ? 1 : 0
+  const pct = phase ? Math.min(100, index * fileShare + within * fileShare) : null
+  const prefix = count > 1 ? `File ${Math.min(index + 1, count)} of ${count} · ` : ''
+  const label = !phase
+    ? 'Preparing files…'
+    : phase === 'merging'
+      ? 'Merging libraries…'
+      : phase === 'parsing'
+        ? `${prefix}Parsing ${file}…`
+        : `${prefix}Reading ${file}${total ? ` · ${formatBytes(loaded)} of ${formatBytes(total)}` : ''}`
+
+  return (
+    <div className="fetch-progress">
+      <div className="loading-bar" aria-hidden="true">
+        {pct === null || phase === 'merging'
+          ? <div className="bar" />
+          : <div className="bar is-determinate" style={{ width: `${pct}%` }} />}
+      </div>
+      <div className="container fetch-progress__row">
+        <div className="header-note truncate" role="status" aria-live="polite">{label}</div>
       </div>
+    </div>
+  )
+}
+
+// Stringifying a large playlist blocks for seconds, so it only happens (in the worker) once the panel is opened
+function RawJson({ value }) {
+  const [open, setOpen] = useState(false)
+  const [result, setResult] = useState({ value: undefined, text: '' })
+
+  useEffect(() => {
+    if (!open || result.value === value) return undefined
+    let cancelled = false
+    runInWorker('stringify', { value })
+      .then((text) => !cancelled && setResult({ value, text }))
+      .catch((e) => !cancelled && setResult({ value, text: `Could not format JSON: ${e?.message || e}` }))
+    return () => {
+      cancelled = true
+    }
+  }, [open, value, result.value])
+
+  return (
+    <details onToggle={(e) => setOpen(e.currentTarget.open)}>
+      <summary>Show raw JSON</summary>
+      <pre className="json">{result.value === value ? result.text : 'Formatting…'}</pre>
+    </details>
+  )
+}
+
+// Playlists read from a Spotify account are stamped with it, which labels them in the combined view
+function accountSource(type, user) {
+  return user?.id
+    ? { type, name: user.display_name || user.id, accountId: user.id, accountName: user.display_name || null }
+    : { type, name: type === 'api' ? 'Spotify (live)' : 'Spotify (cache)' }
+}
+
+function spotifyLabel(type, user) {
+  const base = type === 'api' ? 'Spotify (live)' : 'Spotify (cache)'
+  const name = user?.display_name || user?.id
+  return name ? `${base} · ${name}` : base
+}
+
+const COMBINED_ACCOUNTS = '*'
+
+const SESSION_NOTICES = {
+  refreshing: 'Renewing the Spotify session…',
+  expired: 'The Spotify session ran out and couldn’t be renewed yet; cached data still works.',
+  revoked: 'Spotify no longer accepts this sign-in; cached data still works.',
+}
+
+// One line per signed-in account whose session needs attention
+function SessionNotices({ sessions, onSignIn }) {
+  const shown = sessions.filter((s) => SESSION_NOTICES[s.state])
+  if (!shown.length) return null
+  return (
+    <div className="container session-notices">
+      {shown.map(({ account, state }) => (
+        <div key={account.id} className="session-notice" role={state === 'refreshing' ? 'status' : 'alert'}>
+          <span className="header-note">{sessions.length > 1 ? `${account.displayName}: ` : ''}{SESSION_NOTICES[state]}</span>
+          {state !== 'refreshing' && <button className="btn" onClick={onSignIn}>Sign in again</button>}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function AccountSwitcher({ accounts, activeId, combined, busy, onSwitch, onRefresh, onAdd, onSignOut }) {
+  return (
+    <div className="account-switcher">
+      <select
+        className="search-input"
+        value={combined ? COMBINED_ACCOUNTS : activeId || ''}
+        onChange={(e) => onSwitch(e.target.value)}
+        disabled={busy}
+        aria-label="Spotify account"
+      >
+        {accounts.map((a) => <option key={a.id} value={a.id}>{a.displayName}</option>)}
+        {accounts.length > 1 && <option value={COMBINED_ACCOUNTS}>All accounts (combined)</option>}
+      </select>
+      <button className="btn" disabled={busy} onClick={onRefresh}>Refresh</button>
+      <button className="btn" onClick={onAdd} title="Sign in with another Spotify account">Add account</button>
+      <button className="btn" disabled={combined} onClick={onSignOut}>Sign out</button>
+    </div>
+  )
+}
+
+function ViewTabs({ view, onChange, plays }) {
+  const options = [
+    { value: 'tracks', label: 'Playlists' },
+    { value: 'duplicates', label: 'Duplicates' },
+    { value: 'compare', label: 'Compare' },
+    { value: 'history', label: 'History' },
+  ]
+  if (plays) options.push({ value: 'listening', label: `Listening (${plays.toLocaleString()} plays)` })
+
+  return (
+    <div className="view-tabs">
+      <SegmentedControl label="View" value={view} onChange={onChange} options={options} />
+    </div>
+  )
+}
+
+function SyncSummary({ changes }) {
+  if (!changes) return null
+  const { added, updated, deleted, unchanged, likedAdded, tracksAdded } = changes
+  const parts = [
+    `${updated.length} updated`,
+    `${added.length} added`,
+    `${deleted.length} deleted`,
+    `${unchanged} unchanged`,
+  ]
+  if (tracksAdded) parts.push(`${tracksAdded} new tracks in playlists`)
+  if (likedAdded) parts.push(`${likedAdded} new liked songs`)
+  const details = [
+    added.length ? `Added: ${added.join(', ')}` : '',
+    updated.length ? `Updated: ${updated.join(', ')}` : '',
+    deleted.length ? `Deleted: ${deleted.join(', ')}` : '',
+  ].filter(Boolean).join('\n')
+
+  return (
+    <div className="content-meta" title={details}>
+      Since last sync: {parts.join(', ')}
+    </div>
+  )
+}
+
+const QUERY_HELP = [
+  'artist:"Name"  album:kid  title:live  playlist:road',
+  'added:2014..2016  added:<2018-06  len:>6m  len:3:00..4:30',
+  '-live excludes, a OR b (or a | b), parentheses group',
+].join('\n')
+
+// `error` is the { message, index } from parseQuery, shown under the input
+function SearchBox({ value, onChange, placeholder, error }) {
+  return (
+    <div className="search-box">
       <input
-        type="file"
-        accept=".json,application/json"
-        className="hidden"
-        onChange={(e) => {
-          const file = e.target.files?.[0]
-          if (file) onFile(file)
-        }}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={placeholder}
+        title={QUERY_HELP}
+        aria-invalid={error ? true : undefined}
+        className={classNames('search-input', error && 'is-invalid')}
       />
-    </label>
+      {error && <div className="search-error" role="alert">{error.message} (at character {error.index + 1})</div>}
+    </div>
   )
 }
 
-function SearchBox({ value, onChange, placeholder }) {
+function playlistKey(p, index) {
+  return `${p.raw?.id || p.name}:${index}`
+}
+
+function MigrationBar({ progress }) {
+  const pct = progress.total ? (progress.done / progress.total) * 100 : 0
   return (
-    <input
-      value={value}
-      onChange={(e) => onChange(e.target.value)}
-      placeholder={placeholder}
-      className="search-input"
-    />
+    <div
+      className="migration-bar"
+      role="progressbar"
+      aria-valuemin={0}
+      aria-valuemax={progress.total}
+      aria-valuenow={progress.done}
+      title={`${progress.migrated} migrated · ${progress.not_found} not found · ${progress.skipped} skipped · ${progress.total - progress.done} to do`}
+    >
+      <div className="migration-bar__fill" style={{ width: `${pct}%` }} />
+    </div>
   )
 }
 
-function PlaylistList({ playlists, selectedIndex, onSelect, query, currentUserId, currentUserName }) {
+// `statuses` is the migration tracker map; progress bars are shown once anything has been marked
+// With `partial`, most playlists have no tracks read yet and show the count stored with them
+function PlaylistList({ playlists, selectedIndex, onSelect, query, currentUserId, currentUserName, showSource, statuses, partial }) {
   const searchable = useMemo(() => playlists.map((p, originalIndex) => ({ p, originalIndex })), [playlists])
 
   const filtered = useMemo(() => {
-    if (!query) return searchable
-    const q = query.toLowerCase()
-    return searchable.filter(({ p }) => p.name?.toLowerCase().includes(q))
+    if (!query?.ast) return searchable
+    return searchable.filter(({ p }) => matchesPlaylist(p, query))
   }, [searchable, query])
 
   const sorted = useMemo(() => {
@@ -167,18 +380,8 @@ function PlaylistList({ playlists, selectedIndex, onSelect, query, currentUserId
     const notOwned = []
     for (const item of filtered) {
       const p = item.p
-      const ownerId = p?.raw?.owner?.id || null
-      const ownerName = p?.raw?.owner?.display_name || null
-      const ownerField = p?.owner || null
-      const isVirtual = p?.raw?.type === 'virtual'
-      const nameSanitized = (p?.name || '').replace(/⭐/g, '').trim()
-      const nameLooksLiked = /^liked\s*songs$/i.test(nameSanitized)
-      const isLiked = (isVirtual && p?.raw?.source === 'liked_songs') || nameLooksLiked
-      const isOwned = isLiked || isVirtual || !currentUserId || (
-        ownerId === currentUserId ||
-        ownerField === currentUserId ||
-        (currentUserName ? (ownerName === currentUserName || ownerField === currentUserName) : false)
-      )
+      const isLiked = isLikedPlaylist(p)
+      const isOwned = isOwnedPlaylist(p, { userId: currentUserId, userName: currentUserName })
       const withFlags = { ...item, isOwned, isLiked }
       if (isLiked) {
         liked.push(withFlags)
@@ -200,21 +403,34 @@ function PlaylistList({ playlists, selectedIndex, onSelect, query, currentUserId
     return liked.concat(owned, notOwned)
   }, [filtered, currentUserId, currentUserName])
 
+  const keys = useMemo(() => sorted.map(({ p, originalIndex }) => playlistKey(p, originalIndex)), [sorted])
+  const isTracking = Object.keys(statuses || {}).length > 0
+  const progressByIndex = useMemo(
+    () => (isTracking ? new Map(playlists.map((p, i) => [i, playlistMigrationProgress(p, statuses)])) : null),
+    [playlists, statuses, isTracking]
+  )
+  const { listRef, start, end, style } = useVirtualRows({ keys, resetKey: playlists, estimatedRowHeight: 56 })
+
   return (
-    <ul className="playlist-list">
-      {sorted.map(({ p, originalIndex, isOwned, isLiked }) => {
+    <ul className="playlist-list" ref={listRef} style={style}>
+      {sorted.slice(start, end).map(({ p, originalIndex, isOwned, isLiked }, i) => {
         const displayName = isLiked ? ((p.name || 'Liked Songs').replace(/⭐/g, '').trim() || 'Liked Songs') : p.name
         return (
-          <li key={originalIndex} className="item">
+          <li key={keys[start + i]} className="item">
             <button
               className={classNames('playlist-button', originalIndex === selectedIndex && 'is-active')}
               onClick={() => onSelect(originalIndex)}
             >
-              <div className={classNames('playlist-name', (!isOwned && !isLiked) && 'is-not-owned')}>
+              <div className={classNames('playlist-name', 'truncate', (!isOwned && !isLiked) && 'is-not-owned')} title={displayName}>
                 {isLiked && <span className="playlist-icon" aria-hidden="true">⭐</span>}
                 {displayName}
               </div>
-              <div className="playlist-meta">{p.tracks.length} tracks</div>
+              <div className="playlist-meta">
+                {partial ? p.raw.trackCount : p.tracks.length} tracks
+                {progressByIndex ? ` · ${progressByIndex.get(originalIndex).done} done` : null}
+                {showSource && p.source ? <span className="playlist-source" title={p.source.name}> · {p.source.name}</span> : null}
+              </div>
+              {progressByIndex && <MigrationBar progress={progressByIndex.get(originalIndex)} />}
             </button>
           </li>
         )
@@ -223,7 +439,7 @@ function PlaylistList({ playlists, selectedIndex, onSelect, query, currentUserId
   )
 }
 
-function TrackRow({ t }) {
+function TrackRow({ t, position, status, onStatusChange, providers, queryMode, columns, gridTemplate, isSelected, onOpen, terms }) {
   const getSpotifyTrackUrl = () => {
     const buildFromUri = (uri) => {
       if (typeof uri === 'string' && uri.startsWith('spotify:track:')) {
@@ -243,65 +459,317 @@ function TrackRow({ t }) {
   }
 
   const url = getSpotifyTrackUrl()
-  const searchQuery = `${(t.artists && t.artists.length ? t.artists[0] : (t.artists || []).join(', ')) || ''} - ${t.title || ''}`.trim()
-  const ytmUrl = `https://music.youtube.com/search?q=${encodeURIComponent(searchQuery)}`
 
-  return (
-    <div className="track-row">
+  // Links inside the row keep their own behaviour; a click anywhere else opens the detail panel
+  const stop = (e) => e.stopPropagation()
+
+  const cells = {
+    position: <div className="col-num">{position + 1}</div>,
+    title: (
       <div className="truncate">
-        {url ? <a href={url} target="_blank" rel="noopener noreferrer">{t.title}</a> : t.title}
+        {url
+          ? <a href={url} target="_blank" rel="noopener noreferrer" onClick={stop}><Highlight text={t.title} terms={terms} /></a>
+          : <Highlight text={t.title} terms={terms} />}
+      </div>
+    ),
+    search: (
+      <div className="col-search">
+        {providers.map((p) => <ProviderButton key={p.id} provider={p} track={t} mode={queryMode} onClick={stop} />)}
       </div>
-      <div className="col-yt">
-        <a
-          href={ytmUrl}
-          className="ytm-btn"
-          title={`Search on YouTube Music: ${searchQuery}`}
-          target="_blank"
-          rel="noopener noreferrer"
-          aria-label={`Search on YouTube Music: ${searchQuery}`}
+    ),
+    artist: <div className="truncate col-artist"><Highlight text={t.artists.join(', ')} terms={terms} /></div>,
+    album: <div className="truncate col-album">{t.album ? <Highlight text={t.album} terms={terms} /> : ''}</div>,
+    added: <div className="col-added" title={t.addedAt || undefined}>{formatAddedDate(t.addedAt)}</div>,
+    duration: <div className="col-len">{formatDuration(t.durationMs)}</div>,
+    status: (
+      <div className="col-status">
+        <select
+          className={`status-select is-${status}`}
+          value={status}
+          onClick={stop}
+          onChange={(e) => onStatusChange(t, e.target.value)}
+          aria-label={`Migration status of ${t.title}`}
         >
-          YTM
-        </a>
+          {MIGRATION_STATUSES.map((s) => <option key={s.value} value={s.value}>{s.label}</option>)}
+        </select>
       </div>
-      <div className="truncate col-artist">{t.artists.join(', ')}</div>
-      <div className="col-len">{t.durationMs ? Math.round(t.durationMs/1000/60) + 'm' : ''}</div>
+    ),
+  }
+
+  return (
+    <div
+      className={classNames('track-row', onOpen && 'is-clickable', isSelected && 'is-selected')}
+      style={{ gridTemplateColumns: gridTemplate }}
+      onClick={onOpen ? () => onOpen(t) : undefined}
+    >
+      {columns.map((c) => <Fragment key={c.id}>{cells[c.id]}</Fragment>)}
     </div>
   )
 }
 
-function TracksPane({ tracks, query }) {
-  const filtered = useMemo(() => {
-    if (!query) return tracks
-    const q = query.toLowerCase()
-    return tracks.filter((t) =>
-      (t.title || '').toLowerCase().includes(q) ||
-      t.artists.some((a) => a.toLowerCase().includes(q)) ||
-      (t.album || '').toLowerCase().includes(q)
-    )
-  }, [tracks, query])
+// Tracks without the data a template needs (usually an ISRC) get a disabled button rather than a broken link
+function ProviderButton({ provider, track, mode, onClick, long = false }) {
+  const url = buildProviderUrl(provider, track, mode)
+  const label = long ? provider.name : provider.short
+  if (!url) {
+    return <span className="provider-btn is-disabled" title={`${provider.name}: not enough track data for this search`}>{label}</span>
+  }
+  return (
+    <a
+      href={url}
+      className={classNames('provider-btn', long && 'is-long')}
+      title={`Search on ${provider.name}: ${buildSearchQuery(track, { mode, style: provider.queryStyle }).query}`}
+      target="_blank"
+      rel="noopener noreferrer"
+      aria-label={`Search on ${provider.name}: ${track.artists[0] ? `${track.artists[0]} - ` : ''}${track.title}`}
+      onClick={onClick}
+    >
+      {label}
+    </a>
+  )
+}
+
+// Compact date for the table; the detail panel uses the locale's long form
+function formatAddedDate(value) {
+  if (!value) return ''
+  const time = Date.parse(value)
+  return Number.isFinite(time) ? new Date(time).toISOString().slice(0, 10) : String(value)
+}
+
+function formatAddedAt(value) {
+  if (!value) return 'date unknown'
+  const date = new Date(value)
+  return Number.isFinite(date.getTime()) ? date.toLocaleDateString() : String(value)
+}
+
+function TrackDetail({ track, appearances, currentIndex, providers, providerSettings, onProviderSettingsChange, onSelectPlaylist, onClose }) {
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [onClose])
+
+  const mode = queryModeFor(providerSettings, track)
+  const style = providers.defaultProvider.queryStyle
+  const exactQuery = buildSearchQuery(track, { mode: 'exact' }).query
+
+  return (
+    <aside className="track-detail card" aria-label="Track details">
+      <div className="track-detail__header">
+        <div className="track-detail__title">{track.title}</div>
+        <button className="btn" onClick={onClose} aria-label="Close track details">✕</button>
+      </div>
+      <div className="header-note">{track.artists.join(', ') || 'Unknown artist'}{track.album ? ` · ${track.album}` : ''}</div>
+      <div className="track-detail__providers">
+        {(providers.buttons.includes(providers.defaultProvider) ? providers.buttons : [providers.defaultProvider, ...providers.buttons])
+          .map((p) => <ProviderButton key={p.id} provider={p} track={track} mode={mode} long />)}
+      </div>
+      <div className="track-detail__query">
+        <div className="header-note">
+          {mode === 'exact' ? 'Exact search' : 'Cleaned search'} on {providers.defaultProvider.name}:{' '}
+          <code>{buildSearchQuery(track, { mode, style }).query || '—'}</code>
+        </div>
+        {mode === 'clean' && exactQuery !== buildSearchQuery(track, { mode, style }).query && (
+          <div className="header-note">Exact: <code>{exactQuery}</code></div>
+        )}
+        {providerSettings.queryMode !== 'exact' && (
+          <label className="checkbox">
+            <input
+              type="checkbox"
+              checked={mode === 'exact'}
+              onChange={(e) => onProviderSettingsChange(withExactTrack(providerSettings, track, e.target.checked))}
+            />
+            Always search this track with its exact title
+          </label>
+        )}
+      </div>
+      <div className="section-title track-detail__subtitle">
+        Appears in {appearances.length} playlist{appearances.length === 1 ? '' : 's'}
+      </div>
+      <ul className="track-detail__list">
+        {appearances.map((a) => (
+          <li key={a.playlistIndex} className={classNames(a.playlistIndex === currentIndex && 'is-current')}>
+            <button className="link-btn truncate" onClick={() => onSelectPlaylist(a.playlistIndex)} title={`Open ${a.name}`}>
+              {a.name}
+            </button>
+            <div className="header-note">
+              {a.entries.map((e) => `#${e.position + 1}, added ${formatAddedAt(e.addedAt)}${e.matchedBy === 'name' ? ' (same artist + title)' : ''}`).join('; ')}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  )
+}
+
+function Highlight({ text, terms }) {
+  return highlightParts(text, terms).map((part, i) => (part.match ? <mark key={i}>{part.text}</mark> : part.text))
+}
+
+const SEARCH_SCOPE_OPTIONS = [
+  { value: 'playlist', label: 'This playlist' },
+  { value: 'library', label: 'All playlists' },
+]
+
+// `query` is the parsed query; the raw text is only used in the empty-state message
+function LibrarySearchResults({ results, total, query, queryText, selectedTrack, onOpenTrack, onSelectPlaylist }) {
+  if (!query?.ast) return <div className="header-note padded-note">Type to search every playlist in the library.</div>
+  if (!results.length) return <div className="header-note padded-note">No tracks match “{queryText}”.</div>
+
+  return (
+    <div className="tracks-pane">
+      <div className="header-note padded-note">
+        {total.toLocaleString()} distinct track{total === 1 ? '' : 's'}
+        {total > results.length ? ` (showing the first ${results.length})` : ''}
+      </div>
+      {results.map((r) => (
+        <div
+          key={r.id}
+          className={classNames('search-result', 'is-clickable', r.track === selectedTrack && 'is-selected')}
+          onClick={() => onOpenTrack(r.track)}
+        >
+          <div className="truncate">
+            <Highlight text={r.track.title} terms={query.terms} />
+            <span className="col-artist"> · <Highlight text={r.track.artists.join(', ')} terms={query.terms} /></span>
+            {r.track.album && <span className="col-album"> · <Highlight text={r.track.album} terms={query.terms} /></span>}
+          </div>
+          <div className="search-result__playlists">
+            {r.playlists.map((p) => (
+              <button
+                key={p.playlistIndex}
+                className="link-btn playlist-chip"
+                onClick={(e) => {
+                  e.stopPropagation()
+                  onSelectPlaylist(p.playlistIndex)
+                }}
+              >
+                {p.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function ColumnsMenu({ layout, onChange }) {
+  const hidden = new Set(layout.hidden)
+  const toggle = (id) => {
+    const next = new Set(hidden)
+    if (next.has(id)) next.delete(id)
+    else next.add(id)
+    onChange({ ...layout, hidden: Array.from(next) })
+  }
+
+  return (
+    <details className="export-menu columns-menu">
+      <summary className="btn">Columns</summary>
+      <div className="export-menu__panel card">
+        <div className="export-menu__scopes">
+          {TRACK_COLUMNS.filter((c) => !c.required).map((c) => (
+            <label key={c.id} className="checkbox">
+              <input type="checkbox" checked={!hidden.has(c.id)} onChange={() => toggle(c.id)} />
+              {c.id === 'position' ? 'Position' : c.label}
+            </label>
+          ))}
+        </div>
+      </div>
+    </details>
+  )
+}
+
+// `tracks` are already filtered by the search box; `positionOf` maps each track to its index in the playlist
+// Rows are windowed; `resetKey` identifies the playlist so switching playlists starts at the top
+function TracksPane({ tracks, positionOf, resetKey, layout, onLayoutChange, statuses, onStatusChange, providers, providerSettings, selectedTrack, onOpenTrack, terms }) {
+  const columns = visibleColumns(layout)
+  const gridTemplate = columns.map((c) => c.width).join(' ')
+  const rows = useMemo(
+    () => sortTrackRows(
+      tracks.map((track, i) => ({ track, position: positionOf?.get(track) ?? i, status: trackStatus(statuses, track) })),
+      layout.sort
+    ),
+    [tracks, positionOf, statuses, layout.sort]
+  )
+  const keys = useMemo(() => rows.map(({ track, position }) => `${track.uri || 'local'}:${position}`), [rows])
+  const { listRef, start, end, style } = useVirtualRows({
+    keys,
+    resetKey: `${resetKey}|${layout.sort.column}|${layout.sort.direction}`,
+  })
 
   return (
     <div className="tracks-pane">
-      <div className="tracks-headers">
-        <div>Title</div>
-        <div className="col-yt">YTM</div>
-        <div>Artist</div>
-        <div className="col-len">Len</div>
+      <div className="tracks-headers" style={{ gridTemplateColumns: gridTemplate }}>
+        {columns.map((c) => {
+          const isSorted = layout.sort.column === c.id
+          if (!c.sortable) return <div key={c.id} className={`col-${c.id}`}>{c.label}</div>
+          return (
+            <button
+              key={c.id}
+              className={classNames('sort-header', c.align === 'right' && 'is-right', isSorted && 'is-sorted')}
+              onClick={() => onLayoutChange({ ...layout, sort: nextSort(layout.sort, c.id) })}
+              aria-sort={isSorted ? (layout.sort.direction === 'asc' ? 'ascending' : 'descending') : undefined}
+              title={`Sort by ${c.id === 'position' ? 'playlist position' : c.label.toLowerCase()}`}
+            >
+              {c.label}
+              {isSorted && <span aria-hidden="true">{layout.sort.direction === 'asc' ? ' ▲' : ' ▼'}</span>}
+            </button>
+          )
+        })}
       </div>
-      <div>
-        {filtered.map((t, i) => <TrackRow key={i} t={t} />)}
+      <div ref={listRef} style={style}>
+        {rows.slice(start, end).map(({ track, position, status }, i) => (
+          <TrackRow
+            key={keys[start + i]}
+            t={track}
+            position={position}
+            status={status}
+            onStatusChange={onStatusChange}
+            providers={providers}
+            queryMode={queryModeFor(providerSettings, track)}
+            columns={columns}
+            gridTemplate={gridTemplate}
+            isSelected={track === selectedTrack}
+            onOpen={onOpenTrack}
+            terms={terms}
+          />
+        ))}
       </div>
     </div>
   )
 }
 
-function TopArtists({ artistCounts }) {
-  const top = useMemo(() => {
-    return Array.from(artistCounts.entries())
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 15)
-  }, [artistCounts])
+const EXPORT_FORMAT_OPTIONS = [
+  { value: 'json', label: 'JSON' },
+  ...Object.entries(EXPORT_FORMATS).map(([value, spec]) => ({ value, label: spec.label })),
+]
+
+function ExportMenu({ onExport, visibleCount, isFiltered }) {
+  const [format, setFormat] = useState('csv')
 
+  return (
+    <details className="export-menu">
+      <summary className="btn">Export</summary>
+      <div className="export-menu__panel card">
+        <SegmentedControl label="Format" options={EXPORT_FORMAT_OPTIONS} value={format} onChange={setFormat} />
+        <div className="export-menu__scopes">
+          <button className="btn" onClick={() => onExport(format, 'playlist')}>This playlist</button>
+          <button className="btn" disabled={!isFiltered} onClick={() => onExport(format, 'visible')}>
+            Visible tracks{isFiltered ? ` (${visibleCount})` : ''}
+          </button>
+          <button className="btn" onClick={() => onExport(format, 'all')}>
+            All playlists{format === 'json' ? '' : ' (.zip)'}
+          </button>
+        </div>
+      </div>
+    </details>
+  )
+}
+
+// `top` is [[artist, count]], already sorted and trimmed by computeLibraryStats
+function TopArtists({ top }) {
   return (
     <div className="section">
       <div className="section-title">Top artists</div>
@@ -320,17 +788,8 @@ function TopArtists({ artistCounts }) {
   )
 }
 
-function YearHistogram({ tracks }) {
-  const buckets = useMemo(() => {
-    const map = new Map()
-    for (const t of tracks) {
-      const date = t.addedAt ? new Date(t.addedAt) : null
-      const year = Number.isFinite(date?.getFullYear?.()) ? date.getFullYear() : null
-      if (year) map.set(year, (map.get(year) || 0) + 1)
-    }
-    return Array.from(map.entries()).sort((a, b) => a[0] - b[0])
-  }, [tracks])
-
+// `buckets` is [[year, count]] in year order
+function YearHistogram({ buckets }) {
   if (!buckets.length) return null
   const max = Math.max(...buckets.map(([, c]) => c))
 
@@ -351,6 +810,9 @@ function YearHistogram({ tracks }) {
   )
 }
 
+// Sidebar stats by normalized library, then by user
+const statsCache = new WeakMap()
+
 export default function App() {
   const [fileName, setFileName] = useState('')
   const [data, setData] = useState(null)
@@ -358,46 +820,120 @@ export default function App() {
   const [error, setError] = useState('')
   const [authReady, setAuthReady] = useState(false)
   const [isFetching, setIsFetching] = useState(false)
+  const [fetchProgress, setFetchProgress] = useState(null)
+  const [isImporting, setIsImporting] = useState(false)
+  const [importProgress, setImportProgress] = useState(null)
+  const [libraryStats, setLibraryStats] = useState(null)
+  const [migrationStatuses, setMigrationStatuses] = useState({})
+  const [onlyTodo, setOnlyTodo] = useState(false)
+  const [providerSettings, setProviderSettings] = useState(loadProviderSettings)
+  const fetchAbortRef = useRef(null)
+  // While a cached library is shown from its playlist list alone (see showCachedLibrary)
+  const [partial, setPartial] = useState(false)
+  const previewRef = useRef(null)
+  const [syncChanges, setSyncChanges] = useState(null)
+  const [importReport, setImportReport] = useState(null)
+  const [writePlan, setWritePlan] = useState(null)
+  const [history, setHistory] = useState(null)
+  const [openTrack, setOpenTrack] = useState(null)
+  const [searchScope, setSearchScope] = useState('playlist') // 'playlist' | 'library'
+  const [view, setView] = useState('tracks') // 'tracks' | 'duplicates' | 'compare' | 'history' | 'listening'
   const [dataSource, setDataSource] = useState('') // 'file' | 'cache' | 'api'
   const [cacheCreatedAt, setCacheCreatedAt] = useState(null)
   const [currentUser, setCurrentUser] = useState(null)
+  const [accounts, setAccounts] = useState(listAccounts)
+  const [combined, setCombined] = useState(false)
+  const [snapshots, setSnapshots] = useState([])
+  // With a passphrase set, nothing is read from storage until it is entered
+  const [locked, setLocked] = useState(() => isVaultEnabled() && !isVaultUnlocked())
+  const [vaultVersion, setVaultVersion] = useState(0)
+  const [sessionState, setSessionState] = useState(() => getSessionState())
 
   // App state
 
   const [playlistQuery, setPlaylistQuery] = useState('')
   const [trackQuery, setTrackQuery] = useState('')
   const [selected, setSelected] = useState(0)
+  const [tableLayout, setTableLayout] = useState(() => loadTrackTableLayout(null))
+
+  useEffect(() => onSessionChange(() => {
+    setSessionState(getSessionState())
+    setAccounts(listAccounts())
+  }), [])
+
+  // Tokens are renewed ahead of expiry while the app is open (and unlocked)
+  useEffect(() => (locked ? undefined : keepSessionsFresh()), [locked])
+
+  useEffect(() => onVaultChange(() => {
+    setLocked(isVaultEnabled() && !isVaultUnlocked())
+    setVaultVersion((v) => v + 1)
+  }), [])
+
+  // Locking forgets everything that was read from the cache; unlocking runs the startup effect again
+  useEffect(() => {
+    if (!locked) return
+    fetchAbortRef.current?.abort()
+    endPreview()
+    setData(null)
+    setNormalized(null)
+    setFileName('')
+    setDataSource('')
+    setCacheCreatedAt(null)
+    setCurrentUser(null)
+    setCombined(false)
+    setSyncChanges(null)
+    setImportReport(null)
+    setWritePlan(null)
+    setHistory(null)
+    setOpenTrack(null)
+    setSnapshots([])
+    setMigrationStatuses({})
+    setError('')
+    setAccounts(listAccounts())
+  }, [locked])
+
+  // Auto-lock after the configured minutes without input; a running fetch keeps it open
+  useEffect(() => {
+    const minutes = getAutoLockMinutes()
+    if (locked || isFetching || !isVaultEnabled() || !minutes) return undefined
+    const events = ['pointerdown', 'keydown', 'wheel', 'touchstart']
+    let timer = null
+    const restart = () => {
+      clearTimeout(timer)
+      timer = setTimeout(lockVault, minutes * 60 * 1000)
+    }
+    restart()
+    events.forEach((name) => window.addEventListener(name, restart, { passive: true }))
+    return () => {
+      clearTimeout(timer)
+      events.forEach((name) => window.removeEventListener(name, restart))
+    }
+  }, [locked, isFetching, vaultVersion])
 
   useEffect(() => {
+    if (locked) return undefined
     let cancelled = false
     ;(async () => {
       try {
-        const handled = await handleRedirectCallback()
-        if (handled && !cancelled) {
+        // A cancelled or failed sign-in is reported, and the cached library still loads
+        const profile = await handleRedirectCallback().catch((e) => {
+          if (!cancelled) setError(describeError(e))
+          return null
+        })
+        if (profile && !cancelled) {
+          setAccounts(listAccounts())
           setAuthReady(true)
-          // Auto-fetch after successful login
-          await fetchFromSpotify()
+          // Auto-fetch the account that just signed in
+          await fetchFromSpotify({ all: false })
           return
         }
-        // No OAuth callback handled; try to load cached data
-        const cached = await loadPlaylistsCache()
-        if (cached && !cancelled) {
-          const obj = { playlists: cached.playlists }
-          setFileName('Spotify (cache)')
-          setData(obj)
-          const n = normalizeData(obj)
-          setNormalized(n)
-          setDataSource('cache')
-          setCacheCreatedAt(cached.createdAt || null)
-          // If user info was saved in cache, restore it to keep owned/not-owned distinction
-          if (cached.user && (cached.user.id || cached.user.display_name)) {
-            setCurrentUser({ id: cached.user.id || null, display_name: cached.user.display_name || null })
-          }
-        }
-        // Attempt silent refresh if only refresh token exists
-        if (!cancelled && !getStoredAccessToken() && hasRefreshToken()) {
-          try { await getValidAccessToken() } catch {}
-        }
+        // Tokens saved before accounts were kept apart become their owner's account
+        await adoptLegacyTokens().catch(() => null)
+        if (cancelled) return
+        setAccounts(listAccounts())
+        refreshSnapshots()
+        // No OAuth callback handled; try to load the active account's cached data
+        await showCachedLibrary(getActiveAccountId(), () => cancelled)
       } catch (e) {
         if (!cancelled) setError(String(e?.message || e))
       } finally {
@@ -408,60 +944,180 @@ export default function App() {
       cancelled = true
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [])
+  }, [locked])
 
-  async function handleFile(file) {
+  // With `merge`, the imported playlists are appended to the library currently shown
+  async function handleFiles(files, { merge = false } = {}) {
     setError('')
     setPlaylistQuery('')
     setTrackQuery('')
-    setSelected(0)
+    setIsImporting(true)
+    setImportProgress(null)
     try {
-      setFileName(file.name)
-      const json = await readJsonFile(file)
-      setData(json)
-      const n = normalizeData(json)
-      setNormalized(n)
-      setDataSource('file')
-      setCacheCreatedAt(null)
+      const { library, history: plays, recognized, skipped } = await runInWorker(
+        'import',
+        { files: Array.from(files || []) },
+        { onProgress: setImportProgress }
+      )
+      setImportReport({ recognized, skipped })
+      if (!library && !plays) {
+        setError(skipped.length ? 'None of the files could be imported.' : 'No files to import.')
+        return
+      }
+      const label = recognized.length === 1 ? recognized[0].file : `${recognized.length} files`
+      if (merge && normalized) {
+        if (library) setNormalized(await runInWorker('merge', { libraries: [normalized, library] }))
+        if (plays) setHistory((prev) => mergePlays(prev, plays))
+        setFileName((prev) => (prev ? `${prev} + ${label}` : label))
+        setDataSource('merged')
+      } else {
+        endPreview()
+        setSelected(0)
+        setCombined(false)
+        // A history-only import still gets an (empty) library so the main view can render
+        setNormalized(library || buildLibrary([]))
+        setHistory(plays)
+        setView(library ? 'tracks' : 'listening')
+        setFileName(label)
+        setDataSource('file')
+        setCacheCreatedAt(null)
+      }
+      // Raw JSON view falls back to each playlist's own `raw` once files are involved
+      setData(null)
     } catch (e) {
       setError(String(e?.message || e))
+    } finally {
+      setIsImporting(false)
+      setImportProgress(null)
     }
   }
 
+  function selectPlaylist(index) {
+    if (previewRef.current) loadPreviewTracks(previewRef.current, index).catch((e) => setError(String(e?.message || e)))
+    setSelected(index)
+    setView('tracks')
+    setSearchScope('playlist')
+  }
+
   const currentPlaylist = normalized?.playlists?.[selected]
+  // While only the playlist list is read, a track's other appearances are looked up on the cache's track indexes
+  const [cachedAppearances, setCachedAppearances] = useState(null)
+  useEffect(() => {
+    const preview = previewRef.current
+    if (!partial || !openTrack || !preview) {
+      setCachedAppearances(null)
+      return undefined
+    }
+    let cancelled = false
+    findCachedTrackAppearances(preview.accountId, openTrack)
+      .then((found) => {
+        if (cancelled) return
+        const indexByKey = new Map(preview.playlists.map((p, i) => [p.playlistKey, i]))
+        setCachedAppearances(found
+          .filter((a) => indexByKey.has(a.playlistKey))
+          .map((a) => ({ playlistIndex: indexByKey.get(a.playlistKey), name: preview.playlists[indexByKey.get(a.playlistKey)].name, entries: a.entries }))
+          .sort((a, b) => a.playlistIndex - b.playlistIndex))
+      })
+      .catch((e) => !cancelled && setError(String(e?.message || e)))
+    return () => {
+      cancelled = true
+    }
+  }, [partial, openTrack])
+  const openTrackAppearances = useMemo(
+    () => (partial ? cachedAppearances || [] : findTrackAppearances(normalized, openTrack)),
+    [partial, cachedAppearances, normalized, openTrack]
+  )
+  const closeTrackDetail = useCallback(() => setOpenTrack(null), [])
+  // Sort and visible columns follow the signed-in (or cached) Spotify user
+  useEffect(() => {
+    setTableLayout(loadTrackTableLayout(currentUser?.id || null))
+  }, [currentUser?.id])
 
-  // Derive owned-only aggregates for sidebar stats and charts
-  const ownedAggregates = useMemo(() => {
-    if (!normalized) return { playlists: [], allTracks: [], artistCounts: new Map() }
-    const userId = currentUser?.id || null
-    const userName = currentUser?.display_name || null
-    const isOwnedPlaylist = (p) => {
-      const ownerId = p?.raw?.owner?.id || null
-      const ownerName = p?.raw?.owner?.display_name || null
-      const ownerField = p?.owner || null
-      const isVirtual = p?.raw?.type === 'virtual'
-      const nameSanitized = (p?.name || '').replace(/⭐/g, '').trim()
-      const nameLooksLiked = /^liked\s*songs$/i.test(nameSanitized)
-      const isLiked = (isVirtual && p?.raw?.source === 'liked_songs') || nameLooksLiked
-      return isLiked || isVirtual || !userId || (
-        ownerId === userId ||
-        ownerField === userId ||
-        (userName ? (ownerName === userName || ownerField === userName) : false)
-      )
+  const updateTableLayout = useCallback((layout) => {
+    setTableLayout(layout)
+    saveTrackTableLayout(currentUser?.id || null, layout)
+  }, [currentUser?.id])
+
+  // Migration statuses live outside the library cache, so they are loaded once and never reset by a fetch or import
+  useEffect(() => {
+    if (locked) return
+    loadMigrationStatuses()
+      .then(setMigrationStatuses)
+      .catch((e) => setError(`Could not load migration progress: ${e?.message || e}`))
+  }, [locked])
+
+  const updateTrackStatus = useCallback((track, status) => {
+    const next = withTrackStatus(migrationStatuses, [track], status)
+    setMigrationStatuses(next)
+    saveMigrationStatuses(next).catch((e) => setError(`Could not save migration progress: ${e?.message || e}`))
+  }, [migrationStatuses])
+
+  const providers = useMemo(() => resolveProviders(providerSettings), [providerSettings])
+  const updateProviderSettings = useCallback((settings) => {
+    setProviderSettings(settings)
+    saveProviderSettings(settings)
+  }, [])
+
+  const canEditCurrent = !!currentUser?.id && canEditPlaylist(
+    currentPlaylist,
+    isOwnedPlaylist(currentPlaylist, { userId: currentUser.id, userName: currentUser.display_name || null })
+  )
+  // Each opened plan gets its own preview state (progress, result), so it is keyed by when it was opened
+  const openWritePlan = useCallback((plan) => setWritePlan({ ...plan, openedAt: Date.now() }), [])
+  // A refetch picks up the new or edited playlist; its snapshot changed, so only that one is downloaded again
+  function handleWriteApplied() {
+    if (dataSource === 'api' || dataSource === 'cache') fetchFromSpotify()
+  }
+
+  const positionOf = useMemo(() => new Map((currentPlaylist?.tracks || []).map((t, i) => [t, i])), [currentPlaylist])
+  // Filtering a five-figure playlist on every keystroke would block typing; the input updates first
+  const deferredPlaylistQuery = useDeferredValue(playlistQuery)
+  const deferredTrackQuery = useDeferredValue(trackQuery)
+  const parsedPlaylistQuery = useMemo(() => parseQuery(deferredPlaylistQuery), [deferredPlaylistQuery])
+  const parsedTrackQuery = useMemo(() => parseQuery(deferredTrackQuery), [deferredTrackQuery])
+  const visibleTracks = useMemo(() => {
+    const matching = filterTracks(currentPlaylist?.tracks || [], parsedTrackQuery, currentPlaylist)
+    return onlyTodo ? matching.filter((t) => trackStatus(migrationStatuses, t) === 'todo') : matching
+  }, [currentPlaylist, parsedTrackQuery, onlyTodo, migrationStatuses])
+  const librarySearch = useMemo(
+    () => (searchScope === 'library' ? searchLibrary(normalized?.playlists || [], parsedTrackQuery) : { results: [], total: 0 }),
+    [searchScope, normalized, parsedTrackQuery]
+  )
+
+  // Owned-only aggregates for the sidebar stats and charts, computed in the library worker. Results are kept per
+  // library and user, and the effect follows the user's id and name rather than the object, so the library is
+  // only sent to the worker again when it or the user really changed.
+  const userId = currentUser?.id || null
+  const userName = currentUser?.display_name || null
+  useEffect(() => {
+    if (!normalized || partial) {
+      setLibraryStats(null)
+      return undefined
     }
-    const playlists = (normalized.playlists || []).filter(isOwnedPlaylist)
-    const allTracks = playlists.flatMap((p) => p.tracks)
-    const artistCounts = new Map()
-    for (const t of allTracks) {
-      for (const a of t.artists) {
-        artistCounts.set(a, (artistCounts.get(a) || 0) + 1)
-      }
+    const userKey = JSON.stringify([userId, userName])
+    if (!statsCache.has(normalized)) statsCache.set(normalized, new Map())
+    const byUser = statsCache.get(normalized)
+    if (byUser.has(userKey)) {
+      setLibraryStats(byUser.get(userKey))
+      return undefined
     }
-    return { playlists, allTracks, artistCounts }
-  }, [normalized, currentUser])
+    let cancelled = false
+    runInWorker('stats', { playlists: normalized.playlists, user: { userId, userName } })
+      .then((stats) => {
+        byUser.set(userKey, stats)
+        if (!cancelled) setLibraryStats(stats)
+      })
+      .catch((e) => !cancelled && setError(String(e?.message || e)))
+    return () => {
+      cancelled = true
+    }
+  }, [normalized, partial, userId, userName])
 
   function downloadJsonFile(obj, name) {
-    const blob = new Blob([JSON.stringify(obj, null, 2)], { type: 'application/json' })
+    downloadBlob(new Blob([JSON.stringify(obj, null, 2)], { type: 'application/json' }), name)
+  }
+
+  function downloadBlob(blob, name) {
     const url = URL.createObjectURL(blob)
     const a = document.createElement('a')
     a.href = url
@@ -472,34 +1128,266 @@ export default function App() {
     URL.revokeObjectURL(url)
   }
 
-  async function fetchFromSpotify() {
+  // scope: 'playlist' (current playlist), 'visible' (current playlist after the search filter) or 'all'
+  function handleExport(format, scope) {
+    try {
+      const playlists = normalized?.playlists || []
+      const scoped = scope === 'all'
+        ? playlists
+        : currentPlaylist
+          ? [scope === 'visible' ? { ...currentPlaylist, name: `${currentPlaylist.name} (filtered)`, tracks: visibleTracks } : currentPlaylist]
+          : []
+      if (format === 'json') {
+        const name = scope === 'all' ? 'spotify-export' : safeFileName(scoped[0]?.name)
+        downloadJsonFile({ playlists: sanitizePlaylistsForStorage(scoped) }, `${name}.json`)
+      } else if (scope === 'all') {
+        downloadBlob(exportPlaylistsZip(scoped, format), `playlists-${format}.zip`)
+      } else if (scoped[0]) {
+        const { blob, fileName } = exportPlaylist(scoped[0], scoped[0].tracks, format)
+        downloadBlob(blob, fileName)
+      }
+    } catch (e) {
+      setError(String(e?.message || e))
+    }
+  }
+
+  // A cache from before accounts were kept apart may carry no user; it still loads, unlabelled
+  function cachedUser(cached) {
+    return cached.user?.id || cached.user?.display_name ? cached.user : null
+  }
+
+  // Normalizes an account's cached library; null when it has nothing cached yet
+  async function loadCachedLibrary(accountId) {
+    const cached = await loadPlaylistsCache(accountId)
+    if (!cached) return null
+    const user = cachedUser(cached)
+    const data = { playlists: cached.playlists }
+    const library = await runInWorker('normalize', { data, source: accountSource('cache', user) })
+    return { library, user, data, changes: null, createdAt: cached.createdAt || null }
+  }
+
+  // Shows an account's cached library: first its playlist list with the first playlist's tracks, which only
+  // reads a few records, then the whole library once it is read. Other playlists picked in the meantime
+  // are read on their own. Resolves to false when the account has nothing cached.
+  async function showCachedLibrary(accountId, isCancelled = () => false) {
+    const summaries = await loadCachedPlaylistSummaries(accountId)
+    if (!summaries || isCancelled()) return !!summaries
+    const preview = { ...summaries, user: cachedUser(summaries), tracks: new Map(), isCancelled }
+    previewRef.current = preview
+    await loadPreviewTracks(preview, 0)
+    const cached = await loadCachedLibrary(accountId)
+    // Something else was shown meanwhile
+    if (isCancelled() || previewRef.current !== preview) return true
+    if (cached) showLibrary({ ...cached, dataSource: 'cache', label: spotifyLabel('cache', cached.user) })
+    else endPreview()
+    return !!cached
+  }
+
+  // Reads the tracks of the preview's playlist at `index` and shows the preview with them
+  async function loadPreviewTracks(preview, index) {
+    const summary = preview.playlists[index]
+    if (!summary || preview.tracks.has(summary.playlistKey)) return
+    const tracks = await loadCachedPlaylistTracks(preview.accountId, summary.playlistKey)
+    if (preview.isCancelled() || previewRef.current !== preview) return
+    preview.tracks.set(summary.playlistKey, tracks)
+    const playlists = preview.playlists.map(({ playlistKey, id, name, owner, snapshotId, trackCount }) => (
+      { id, name, owner, snapshotId, trackCount, tracks: preview.tracks.get(playlistKey) || [] }
+    ))
+    showLibrary({
+      library: normalizeData({ playlists }, accountSource('cache', preview.user)),
+      user: preview.user,
+      data: null,
+      changes: null,
+      createdAt: preview.createdAt,
+      dataSource: 'cache',
+      label: spotifyLabel('cache', preview.user),
+      partial: true,
+    })
+  }
+
+  function endPreview() {
+    previewRef.current = null
+    setPartial(false)
+  }
+
+  // Fetches one account, incrementally against its own cache, and saves the result as that account's cache.
+  // Only the cached playlists that turn out unchanged are read back. Resolves to null when cancelled:
+  // nothing is written unless the account's whole fetch completed. A full disk doesn't fail the fetch.
+  async function fetchAccountLibrary(accountId, signal) {
+    const user = await getCurrentUserProfile({ signal, accountId })
+    const cached = await loadCachedPlaylistSummaries(user.id).catch(() => null)
+    const previous = cached?.user?.id === user.id
+      ? cached.playlists.map((p) => ({ ...p, loadTracks: () => loadCachedPlaylistTracks(cached.accountId, p.playlistKey) }))
+      : null
+    const { playlists, changes: fetched } = await getPlaylistsWithTracks({ signal, accountId, onProgress: setFetchProgress, previous })
+    let changes = fetched
+    const data = { playlists }
+    const library = signal.aborted ? null : await runInWorker('normalize', { data, source: accountSource('api', user) })
+    if (signal.aborted) return null
+    let createdAt = Date.now()
+    try {
+      createdAt = (await savePlaylistsCache(sanitizePlaylistsForStorage(playlists), user)).createdAt
+      // What the playlists gained since the previous sync, read off the cache's added-date index
+      const addedSince = changes && cached.createdAt ? await countCachedTracksAddedSince(user.id, cached.createdAt).catch(() => null) : null
+      if (addedSince) {
+        const tracksAdded = [...addedSince].reduce((n, [playlistKey, count]) => (playlistKey === LIKED_SONGS_ID ? n : n + count), 0)
+        changes = { ...changes, tracksAdded }
+      }
+    } catch (e) {
+      if (!(e instanceof StorageQuotaError)) throw e
+      setError(e.message)
+    }
+    refreshSnapshots()
+    return { library, user, data, changes, createdAt }
+  }
+
+  function refreshSnapshots() {
+    listSnapshots().then(setSnapshots).catch(() => setSnapshots([]))
+  }
+
+  async function loadSnapshotLibrary(id) {
+    const snapshot = await loadSnapshot(id)
+    if (!snapshot) return null
+    return runInWorker('normalize', { data: { playlists: snapshot.playlists }, source: accountSource('cache', snapshot.user) })
+  }
+
+  // Puts a snapshot back as its account's cached library and shows it
+  async function restoreFromSnapshot(snapshot) {
+    await restoreSnapshot(snapshot.id)
+    setCombined(false)
+    if (accounts.some((a) => a.id === snapshot.accountId)) setActiveAccount(snapshot.accountId)
+    const cached = await loadCachedLibrary(snapshot.accountId || null)
+    if (!cached) return
+    setSelected(0)
+    setOpenTrack(null)
+    setWritePlan(null)
+    showLibrary({ ...cached, dataSource: 'cache', label: spotifyLabel('cache', cached.user) })
+    setView('tracks')
+  }
+
+  function showLibrary({ library, user, data, changes, createdAt, dataSource: source, label, partial: isPartial = false }) {
+    if (!isPartial) previewRef.current = null
+    setPartial(isPartial)
+    setCurrentUser(user ? { id: user.id || null, display_name: user.display_name || null } : null)
+    setSyncChanges(changes)
+    setImportReport(null)
+    setFileName(label)
+    setData(data)
+    setNormalized(library)
+    setDataSource(source)
+    setCacheCreatedAt(createdAt)
+  }
+
+  // One library with every account's playlists, each labelled with its account; the active account stays
+  // the "current user" for per-user settings
+  async function showCombinedLibrary(results) {
+    const library = await runInWorker('merge', { libraries: results.map((r) => r.library) })
+    const activeId = getActiveAccountId()
+    showLibrary({
+      library,
+      user: results.find((r) => r.user?.id === activeId)?.user || null,
+      data: null,
+      changes: null,
+      createdAt: Math.min(...results.map((r) => r.createdAt || Date.now())),
+      dataSource: 'accounts',
+      label: `Spotify · ${results.length} accounts`,
+    })
+  }
+
+  // Refreshes the active account, or every signed-in account in the combined view
+  async function fetchFromSpotify({ all = combined } = {}) {
     setError('')
     setIsFetching(true)
+    setFetchProgress(null)
+    const controller = new AbortController()
+    fetchAbortRef.current = controller
+    const { signal } = controller
     try {
-      const [user, playlists] = await Promise.all([
-        getCurrentUserProfile(),
-        getPlaylistsWithTracks(),
-      ])
-      setCurrentUser(user || null)
-      const obj = { playlists }
-      setFileName('Spotify (live)')
-      setData(obj)
-      const n = normalizeData(obj)
-      setNormalized(n)
-      setDataSource('api')
-      const sanitizedForCache = sanitizePlaylistsForStorage(playlists)
-      const saved = await savePlaylistsCache(sanitizedForCache, user || null)
-      setCacheCreatedAt(saved?.createdAt || Date.now())
+      if (all) {
+        const results = []
+        for (const account of listAccounts()) {
+          const result = await fetchAccountLibrary(account.id, signal)
+          if (!result) return
+          results.push(result)
+        }
+        await showCombinedLibrary(results)
+      } else {
+        const result = await fetchAccountLibrary(getActiveAccountId(), signal)
+        if (!result) return
+        showLibrary({ ...result, dataSource: 'api', label: spotifyLabel('api', result.user) })
+      }
     } catch (e) {
-      setError(String(e?.message || e))
+      if (isAbortError(e)) {
+        setError('Fetch cancelled. Previously cached data was left unchanged.')
+      } else {
+        setError(describeError(e))
+      }
     } finally {
+      if (fetchAbortRef.current === controller) fetchAbortRef.current = null
       setIsFetching(false)
+      setFetchProgress(null)
     }
   }
 
-  const isAuthed = !!getStoredAccessToken()
+  // `accountId` is a signed-in account or COMBINED_ACCOUNTS. Cached libraries show at once; an account
+  // without one is fetched.
+  async function switchAccount(accountId) {
+    setError('')
+    setSelected(0)
+    setOpenTrack(null)
+    setWritePlan(null)
+    try {
+      if (accountId === COMBINED_ACCOUNTS) {
+        setCombined(true)
+        const results = []
+        for (const account of listAccounts()) {
+          const cached = await loadCachedLibrary(account.id)
+          // Fetching everything is incremental for the accounts that do have a cache
+          if (!cached) return await fetchFromSpotify({ all: true })
+          results.push(cached)
+        }
+        await showCombinedLibrary(results)
+        return
+      }
+      setCombined(false)
+      setActiveAccount(accountId)
+      if (!(await showCachedLibrary(accountId))) await fetchFromSpotify({ all: false })
+    } catch (e) {
+      setError(describeError(e))
+    }
+  }
 
+  // Signs the active account out; another signed-in account takes over when there is one
+  function signOut() {
+    clearTokens(getActiveAccountId())
+    const remaining = listAccounts()
+    setAccounts(remaining)
+    setAuthReady(true)
+    if (remaining.length && normalized) switchAccount(remaining[0].id)
+  }
 
+  function cancelFetch() {
+    fetchAbortRef.current?.abort()
+  }
+
+  const isAuthed = accounts.length > 0
+  const sessions = accounts.map((account) => ({ account, state: getSessionState(account.id) }))
+  const needsSignIn = sessionState === 'expired' || sessionState === 'revoked'
+
+  // Libraries the compare view can load; uploaded files are handled by the view itself
+  const compareSources = [
+    { id: 'current', label: `Current library (${fileName || 'loaded'})`, load: async () => normalized },
+    ...(accounts.length ? accounts : [{ id: null, displayName: null }]).map((a) => ({
+      id: `cache:${a.id || ''}`,
+      label: a.displayName ? `Cached library · ${a.displayName}` : 'Cached library',
+      load: async () => (await loadCachedLibrary(a.id))?.library || null,
+    })),
+    ...snapshots.map((snap) => ({
+      id: `snapshot:${snap.id}`,
+      label: `Snapshot · ${snapshotName(snap)}${accounts.length > 1 && snap.user ? ` · ${snap.user.display_name || snap.user.id}` : ''}`,
+      load: () => loadSnapshotLibrary(snap.id),
+    })),
+  ]
 
   return (
     <div className="app">
@@ -507,16 +1395,31 @@ export default function App() {
         <div className="container header-row">
           <div className="header-title">PlayListory</div>
           <div className="header-note">UI-only. Data stays in your browser.</div>
-        </div>
-        {isFetching && (
-          <div className="loading-bar" aria-hidden="true">
-            <div className="bar" />
+          <div className="header-actions">
+            {isAuthed && normalized && (
+              <AccountSwitcher
+                accounts={accounts}
+                activeId={getActiveAccountId()}
+                combined={combined}
+                busy={isFetching}
+                onSwitch={switchAccount}
+                onRefresh={() => fetchFromSpotify()}
+                onAdd={() => beginLogin({ showDialog: true })}
+                onSignOut={signOut}
+              />
+            )}
+            {!locked && <LockMenu />}
           </div>
-        )}
+        </div>
+        {!locked && <SessionNotices sessions={sessions} onSignIn={() => beginLogin({ showDialog: true })} />}
+        {isFetching && <FetchProgress progress={fetchProgress} onCancel={cancelFetch} />}
+        {isImporting && <ImportProgress progress={importProgress} />}
       </header>
 
       <main className="container main">
-        {!normalized ? (
+        {locked ? (
+          <UnlockScreen />
+        ) : !normalized ? (
           <div className="mx-auto" style={{ maxWidth: '42rem' }}>
             <div className="choice-stack">
               <div className="card padded">
@@ -529,8 +1432,10 @@ export default function App() {
                     <button className="btn" disabled={!authReady} onClick={() => beginLogin()}>Connect Spotify</button>
                   ) : (
                     <>
-                      <button className="btn" disabled={isFetching} onClick={fetchFromSpotify}>{isFetching ? 'Fetching…' : 'Fetch my playlists'}</button>
-                      <button className="btn" style={{ marginLeft: '0.5rem' }} onClick={() => { clearTokens(); setAuthReady(true) }}>Sign out</button>
+                      {needsSignIn
+                        ? <button className="btn" onClick={() => beginLogin({ showDialog: true })}>Sign in again</button>
+                        : <button className="btn" disabled={isFetching} onClick={() => fetchFromSpotify()}>{isFetching ? 'Fetching…' : 'Fetch my playlists'}</button>}
+                      <button className="btn" style={{ marginLeft: '0.5rem' }} onClick={signOut}>Sign out</button>
                     </>
                   )}
                 </div>
@@ -539,15 +1444,16 @@ export default function App() {
               <div className="or-divider"><span>OR</span></div>
 
               <div className="card padded">
-                <div className="section-title" style={{ marginBottom: '0.5rem' }}>Option 2: Upload a JSON file</div>
+                <div className="section-title" style={{ marginBottom: '0.5rem' }}>Option 2: Upload files</div>
                 <div className="header-note" style={{ marginBottom: '0.75rem' }}>
-                  Drop a Spotify JSON export, or click to choose a file from your device.
+                  Drop <code>my_spotify_data.zip</code>, JSON files, or playlists exported by other tools (Exportify CSV, M3U, XSPF). Several files at once are fine.
                 </div>
-                <FileDrop onFile={handleFile} />
+                <FileDrop onFiles={handleFiles} />
               </div>
             </div>
 
             {error && <div className="header-note" style={{ marginTop: '1rem', color: '#f87171' }}>{error}</div>}
+            {importReport && <div style={{ marginTop: '1rem' }}><ImportReport report={importReport} /></div>}
           </div>
         ) : (
           <div className="grid-main">
@@ -557,99 +1463,213 @@ export default function App() {
                 <div className="file-name" title={fileName}>{fileName}</div>
               </div>
               <div style={{ marginBottom: '0.75rem' }}>
-                <SearchBox value={playlistQuery} onChange={setPlaylistQuery} placeholder="Search playlists" />
+                <SearchBox value={playlistQuery} onChange={setPlaylistQuery} placeholder="Search playlists" error={parsedPlaylistQuery?.error} />
               </div>
               <div className="card padded playlist-panel">
                 <PlaylistList
                   playlists={normalized.playlists}
                   selectedIndex={selected}
-                  onSelect={setSelected}
-                  query={playlistQuery}
+                  onSelect={selectPlaylist}
+                  query={parsedPlaylistQuery}
                   currentUserId={currentUser?.id || null}
                   currentUserName={currentUser?.display_name || null}
+                  showSource={normalized.sources.length > 1}
+                  statuses={migrationStatuses}
+                  partial={partial}
                 />
               </div>
 
               <div className="stats-grid">
-                <StatBadge label="Playlists" value={ownedAggregates.playlists.length} />
-                <StatBadge label="Tracks" value={ownedAggregates.allTracks.length} />
-                <StatBadge label="Artists" value={ownedAggregates.artistCounts.size} />
+                <StatBadge label="Playlists" value={libraryStats ? libraryStats.playlistCount : '…'} />
+                <StatBadge label="Tracks" value={libraryStats ? libraryStats.trackCount : '…'} />
+                <StatBadge label="Artists" value={libraryStats ? libraryStats.artistCount : '…'} />
+                {normalized.library && (
+                  <>
+                    <StatBadge label="Saved albums" value={normalized.library.savedAlbums.length} />
+                    <StatBadge label="Followed artists" value={normalized.library.followedArtists.length} />
+                  </>
+                )}
               </div>
 
               <div className="section-stack">
-                <TopArtists artistCounts={ownedAggregates.artistCounts} />
-                <YearHistogram tracks={ownedAggregates.allTracks} />
+                <TopArtists top={libraryStats?.topArtists || []} />
+                <YearHistogram buckets={libraryStats?.addedPerYear || []} />
               </div>
             </aside>
 
             <section className="content">
-              <div className="content-header">
-                <div className="content-title">{currentPlaylist?.name || 'Playlist'}</div>
-                <div className="content-meta">{currentPlaylist?.tracks.length ?? 0} tracks</div>
-                {dataSource && (
-                  <div className="content-meta" title={cacheCreatedAt ? new Date(cacheCreatedAt).toLocaleString() : ''}>
-                    Source: {dataSource === 'file' ? 'File' : dataSource === 'cache' ? `Cache${cacheCreatedAt ? ` (${new Date(cacheCreatedAt).toLocaleDateString()})` : ''}` : 'API'}
-                  </div>
-                )}
-                <div className="spacer" />
-                <button
-                  className="btn"
-                  onClick={() => {
-                    setData(null)
-                    setNormalized(null)
-                    setFileName('')
-                    setDataSource('')
-                    setCacheCreatedAt(null)
-                  }}
-                >Load another file</button>
-                <button
-                  className="btn"
-                  onClick={() => {
-                    const sanitized = sanitizePlaylistsForStorage(normalized?.playlists || [])
-                    downloadJsonFile({ playlists: sanitized }, 'spotify-export.json')
-                  }}
-                  style={{ marginLeft: '0.5rem' }}
-                >Download JSON</button>
-                <button
-                  className="btn"
-                  onClick={async () => {
-                    try {
-                      await purgeCacheDb()
-                      // If current view is cache, clear it from UI
-                      if (dataSource === 'cache') {
+              <ViewTabs view={view} onChange={setView} plays={history?.length || 0} />
+              {error && <div className="search-error content-error" role="alert">{error}</div>}
+              {view === 'listening' && history ? (
+                <ListeningStats plays={history} playlists={normalized.playlists} />
+              ) : view === 'duplicates' ? (
+                <DuplicatesView playlists={normalized.playlists} onSelectPlaylist={selectPlaylist} />
+              ) : view === 'compare' ? (
+                <CompareView sources={compareSources} onDownload={downloadBlob} />
+              ) : view === 'history' ? (
+                <HistoryView snapshots={snapshots} onRestore={restoreFromSnapshot} onChange={refreshSnapshots} onDownload={downloadBlob} />
+              ) : (
+                <>
+                  <div className="content-header">
+                    <div className="content-title">{searchScope === 'library' ? 'All playlists' : currentPlaylist?.name || 'Playlist'}</div>
+                    <div className="content-meta">
+                      {searchScope === 'library' ? normalized.allTracks.length : (partial ? currentPlaylist?.raw.trackCount : currentPlaylist?.tracks.length) ?? 0} tracks
+                    </div>
+                    {partial && <div className="content-meta">Reading the rest of the cache…</div>}
+                    {dataSource && (
+                      <div className="content-meta" title={cacheCreatedAt ? new Date(cacheCreatedAt).toLocaleString() : ''}>
+                        Source: {dataSource === 'file' ? 'File' : dataSource === 'merged' ? `${normalized.sources.length} sources` : dataSource === 'accounts' ? `${normalized.sources.length} Spotify accounts` : dataSource === 'cache' ? `Cache${cacheCreatedAt ? ` (${new Date(cacheCreatedAt).toLocaleDateString()})` : ''}` : 'API'}
+                      </div>
+                    )}
+                    {dataSource === 'api' && <SyncSummary changes={syncChanges} />}
+                    <div className="spacer" />
+                    {/* Merging, exporting and writing wait for the whole library */}
+                    {!partial && (
+                      <label className="btn" title="Merge more export files into this library">
+                        Add files
+                        <FileInput onFiles={(files) => handleFiles(files, { merge: true })} />
+                      </label>
+                    )}
+                    <button
+                      className="btn"
+                      style={{ marginLeft: '0.5rem' }}
+                      onClick={() => {
+                        endPreview()
+                        setImportReport(null)
+                        setHistory(null)
+                        setOpenTrack(null)
+                        setView('tracks')
                         setData(null)
                         setNormalized(null)
                         setFileName('')
                         setDataSource('')
                         setCacheCreatedAt(null)
-                      } else {
-                        setCacheCreatedAt(null)
-                      }
-                    } catch (e) {
-                      setError(String(e?.message || e))
-                    }
-                  }}
-                  style={{ marginLeft: '0.5rem' }}
-                >Purge cache</button>
-              </div>
-              <div style={{ marginBottom: '0.75rem' }}>
-                <SearchBox value={trackQuery} onChange={setTrackQuery} placeholder="Search tracks, artists, albums" />
-              </div>
-              <div className="card padded tracks-panel">
-                <TracksPane tracks={currentPlaylist?.tracks || []} query={trackQuery} />
-              </div>
+                        setCombined(false)
+                      }}
+                    >Load another file</button>
+                    {!partial && (
+                      <div style={{ marginLeft: '0.5rem' }}>
+                        <ExportMenu onExport={handleExport} visibleCount={visibleTracks.length} isFiltered={!!parsedTrackQuery?.ast || onlyTodo} />
+                      </div>
+                    )}
+                    {isAuthed && !partial && (
+                      <div style={{ marginLeft: '0.5rem' }}>
+                        <SaveToSpotifyMenu
+                          playlists={normalized.playlists}
+                          currentIndex={selected}
+                          visibleTracks={visibleTracks}
+                          isFiltered={!!parsedTrackQuery?.ast || onlyTodo}
+                          canEdit={canEditCurrent}
+                          onPlan={openWritePlan}
+                        />
+                      </div>
+                    )}
+                    <button
+                      className="btn"
+                      onClick={async () => {
+                        try {
+                          await purgeCacheDb()
+                          refreshSnapshots()
+                          // If current view is cache, clear it from UI
+                          if (dataSource === 'cache') {
+                            endPreview()
+                            setData(null)
+                            setNormalized(null)
+                            setFileName('')
+                            setDataSource('')
+                            setCacheCreatedAt(null)
+                          } else {
+                            setCacheCreatedAt(null)
+                          }
+                        } catch (e) {
+                          setError(String(e?.message || e))
+                        }
+                      }}
+                      style={{ marginLeft: '0.5rem' }}
+                    >Purge cache</button>
+                  </div>
+                  {writePlan && (
+                    <div style={{ marginBottom: '0.75rem' }}>
+                      <WritePlanPreview
+                        key={writePlan.openedAt}
+                        plan={writePlan}
+                        onPlanChange={setWritePlan}
+                        onClose={() => setWritePlan(null)}
+                        onApplied={handleWriteApplied}
+                        formatError={describeError}
+                      />
+                    </div>
+                  )}
+                  {importReport && (
+                    <div style={{ marginBottom: '0.75rem' }}>
+                      <ImportReport report={importReport} onDismiss={() => setImportReport(null)} />
+                    </div>
+                  )}
+                  <div style={{ marginBottom: '0.75rem' }}>
+                    <div className="search-row">
+                      <SearchBox
+                        value={trackQuery}
+                        onChange={setTrackQuery}
+                        placeholder={searchScope === 'library' ? 'Search all playlists' : 'Search tracks, artists, albums'}
+                        error={parsedTrackQuery?.error}
+                      />
+                      <SegmentedControl label="Search in" options={SEARCH_SCOPE_OPTIONS} value={searchScope} onChange={setSearchScope} />
+                      {searchScope === 'playlist' && (
+                        <>
+                          <label className="checkbox" title="Hide tracks already marked migrated, not found or skipped">
+                            <input type="checkbox" checked={onlyTodo} onChange={(e) => setOnlyTodo(e.target.checked)} />
+                            Still to do
+                          </label>
+                          <ColumnsMenu layout={tableLayout} onChange={updateTableLayout} />
+                          <ProvidersMenu settings={providerSettings} onChange={updateProviderSettings} />
+                        </>
+                      )}
+                    </div>
+                  </div>
+                  <div className="card padded tracks-panel">
+                    {searchScope === 'library' ? (
+                      <LibrarySearchResults
+                        {...librarySearch}
+                        query={parsedTrackQuery}
+                        queryText={trackQuery}
+                        selectedTrack={openTrack}
+                        onOpenTrack={setOpenTrack}
+                        onSelectPlaylist={selectPlaylist}
+                      />
+                    ) : (
+                      <TracksPane
+                        tracks={visibleTracks}
+                        positionOf={positionOf}
+                        resetKey={selected}
+                        layout={tableLayout}
+                        onLayoutChange={updateTableLayout}
+                        statuses={migrationStatuses}
+                        onStatusChange={updateTrackStatus}
+                        providers={providers.buttons}
+                        providerSettings={providerSettings}
+                        selectedTrack={openTrack}
+                        onOpenTrack={setOpenTrack}
+                        terms={parsedTrackQuery?.terms}
+                      />
+                    )}
+                  </div>
 
-              <details>
-                <summary>Show raw JSON</summary>
-                <pre className="json">
-{JSON.stringify(
-  data?.playlists?.[selected] ?? currentPlaylist?.raw ?? currentPlaylist ?? data,
-  null,
-  2
-)}
-                </pre>
-              </details>
+                  <RawJson value={data?.playlists?.[selected] ?? currentPlaylist?.raw ?? currentPlaylist ?? data} />
+                </>
+              )}
             </section>
+            {openTrack && (
+              <TrackDetail
+                track={openTrack}
+                appearances={openTrackAppearances}
+                currentIndex={view === 'tracks' ? selected : null}
+                providers={providers}
+                providerSettings={providerSettings}
+                onProviderSettingsChange={updateProviderSettings}
+                onSelectPlaylist={selectPlaylist}
+                onClose={closeTrackDetail}
+              />
+            )}
           </div>
         )}
       </main>
@@ -0,0 +1,183 @@
+import { useState } from 'react'
+import { runInWorker } from './libraryWorker.js'
+import { diffToCsv } from './libraryDiff.js'
+import { FileInput, StatBadge } from './ui.jsx'
+
+const LIST_LIMIT = 500
+const FILE_SOURCE = 'file'
+
+function TrackLine({ track, note }) {
+  return (
+    <li>
+      <span className="truncate">{track.title} <span className="listening__sub">· {track.artists.join(', ')}</span></span>
+      {note && <span className="header-note truncate" title={note}>{note}</span>}
+    </li>
+  )
+}
+
+function Limited({ items, render }) {
+  return (
+    <>
+      <ul className="duplicates__groups">{items.slice(0, LIST_LIMIT).map(render)}</ul>
+      {items.length > LIST_LIMIT && <div className="header-note">Showing {LIST_LIMIT} of {items.length.toLocaleString()}; the export has all of them.</div>}
+    </>
+  )
+}
+
+// One side of the comparison: a library offered by the app, or an uploaded file
+function SourcePicker({ label, sources, value, onChange }) {
+  const [importing, setImporting] = useState(false)
+  const [fileError, setFileError] = useState('')
+
+  const onFiles = async (files) => {
+    setImporting(true)
+    setFileError('')
+    try {
+      const { library, recognized } = await runInWorker('import', { files })
+      if (!library) throw new Error('No playlists found in that file.')
+      const name = recognized.length === 1 ? recognized[0].file : `${recognized.length} files`
+      onChange({ sourceId: FILE_SOURCE, file: { label: name, library } })
+    } catch (e) {
+      setFileError(String(e?.message || e))
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  return (
+    <div className="compare__source">
+      <div className="section-title">{label}</div>
+      <select className="search-input" value={value.sourceId} onChange={(e) => onChange({ sourceId: e.target.value, file: null })} aria-label={label}>
+        {sources.map((s) => <option key={s.id} value={s.id}>{s.label}</option>)}
+        <option value={FILE_SOURCE}>An uploaded file…</option>
+      </select>
+      {value.sourceId === FILE_SOURCE && (
+        <label className="btn">
+          {importing ? 'Reading…' : value.file ? value.file.label : 'Choose export file'}
+          <FileInput onFiles={onFiles} />
+        </label>
+      )}
+      {fileError && <div className="search-error" role="alert">{fileError}</div>}
+    </div>
+  )
+}
+
+// Compares two libraries. `sources` are [{ id, label, load: async () => normalized library | null }];
+// `onDownload(blob, fileName)` saves an export.
+export default function CompareView({ sources, onDownload }) {
+  const [before, setBefore] = useState({ sourceId: FILE_SOURCE, file: null })
+  const [after, setAfter] = useState({ sourceId: sources[0]?.id || FILE_SOURCE, file: null })
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [result, setResult] = useState(null)
+
+  const labelOf = (side) => (side.sourceId === FILE_SOURCE ? side.file?.label : sources.find((s) => s.id === side.sourceId)?.label)
+  const loadSide = async (side) => {
+    if (side.sourceId === FILE_SOURCE) return side.file?.library || null
+    return (await sources.find((s) => s.id === side.sourceId)?.load()) || null
+  }
+
+  const compare = async () => {
+    setBusy(true)
+    setError('')
+    try {
+      const [from, to] = await Promise.all([loadSide(before), loadSide(after)])
+      if (!from || !to) throw new Error(`Nothing to compare: ${!from ? labelOf(before) || 'the first library' : labelOf(after) || 'the second library'} is empty or missing.`)
+      const diff = await runInWorker('diff', { before: from.playlists, after: to.playlists })
+      setResult({ diff, before: labelOf(before), after: labelOf(after) })
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const ready = (before.sourceId !== FILE_SOURCE || before.file) && (after.sourceId !== FILE_SOURCE || after.file)
+  const diff = result?.diff
+
+  return (
+    <div className="duplicates compare">
+      <div className="content-header">
+        <div className="content-title">Compare</div>
+        <div className="content-meta">Playlists are matched by Spotify id or name, songs by URI or artist and title</div>
+      </div>
+
+      <div className="card padded compare__sources">
+        <SourcePicker label="Before" sources={sources} value={before} onChange={setBefore} />
+        <SourcePicker label="After" sources={sources} value={after} onChange={setAfter} />
+        <div className="compare__actions">
+          <button className="btn" disabled={!ready || busy} onClick={compare}>{busy ? 'Comparing…' : 'Compare'}</button>
+        </div>
+      </div>
+      {error && <div className="search-error" role="alert">{error}</div>}
+
+      {diff && (
+        <>
+          <div className="content-header">
+            <div className="content-meta">{result.before} → {result.after}</div>
+            <div className="spacer" />
+            <button className="btn" onClick={() => onDownload(new Blob([diffToCsv(diff)], { type: 'text/csv' }), 'library-changes.csv')}>Export CSV</button>
+            <button
+              className="btn"
+              onClick={() => onDownload(new Blob([JSON.stringify({ before: result.before, after: result.after, ...diff }, null, 2)], { type: 'application/json' }), 'library-changes.json')}
+            >Export JSON</button>
+          </div>
+
+          <div className="stats-grid">
+            <StatBadge label="Playlists added" value={diff.playlistsAdded.length.toLocaleString()} />
+            <StatBadge label="Playlists removed" value={diff.playlistsRemoved.length.toLocaleString()} />
+            <StatBadge label="Renamed" value={diff.playlistsRenamed.length.toLocaleString()} />
+            <StatBadge label="Tracks added" value={diff.totals.tracksAdded.toLocaleString()} />
+            <StatBadge label="Tracks removed" value={diff.totals.tracksRemoved.toLocaleString()} />
+            <StatBadge label="Songs gone" value={diff.vanished.length.toLocaleString()} />
+          </div>
+
+          <div className="section">
+            <div className="section-title">Playlists</div>
+            {!diff.playlistsAdded.length && !diff.playlistsRemoved.length && !diff.playlistsRenamed.length && (
+              <div className="header-note">Same playlists on both sides.</div>
+            )}
+            <ul className="duplicates__groups">
+              {diff.playlistsAdded.map((p, i) => <li key={`a${i}`}><span className="truncate">+ {p.name}</span><span className="header-note">{p.trackCount} tracks</span></li>)}
+              {diff.playlistsRemoved.map((p, i) => <li key={`r${i}`}><span className="truncate">− {p.name}</span><span className="header-note">{p.trackCount} tracks</span></li>)}
+              {diff.playlistsRenamed.map((p, i) => <li key={`n${i}`}><span className="truncate">{p.from} → {p.to}</span><span className="header-note">renamed</span></li>)}
+            </ul>
+          </div>
+
+          <div className="section">
+            <div className="section-title">Changed playlists</div>
+            {diff.changed.length === 0 && <div className="header-note">No playlist gained or lost tracks ({diff.unchanged} unchanged).</div>}
+            <div className="duplicates__list">
+              {diff.changed.map((c, i) => (
+                <details key={i} className="card padded duplicates__item">
+                  <summary>
+                    <span>{c.name}</span>
+                    {c.previousName && <span className="listening__sub"> · was {c.previousName}</span>}
+                    <span className="header-note"> · +{c.added.length} / −{c.removed.length}</span>
+                  </summary>
+                  <Limited
+                    items={[...c.added.map((x) => ({ ...x, sign: '+' })), ...c.removed.map((x) => ({ ...x, sign: '−' }))]}
+                    render={(x, j) => <TrackLine key={j} track={{ ...x.track, title: `${x.sign} ${x.track.title}` }} note={`#${x.position + 1}`} />}
+                  />
+                </details>
+              ))}
+            </div>
+          </div>
+
+          <div className="section">
+            <div className="section-title">Songs no longer in any playlist</div>
+            <div className="header-note">Often tracks that became unavailable or were deleted, rather than removed on purpose.</div>
+            {diff.vanished.length === 0
+              ? <div className="header-note">None.</div>
+              : <Limited items={diff.vanished} render={(v, i) => <TrackLine key={i} track={v.track} note={v.playlists.join(', ')} />} />}
+          </div>
+
+          <details className="section">
+            <summary>New songs ({diff.appeared.length.toLocaleString()})</summary>
+            <Limited items={diff.appeared} render={(v, i) => <TrackLine key={i} track={v.track} note={v.playlists.join(', ')} />} />
+          </details>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,95 @@
+import { useMemo, useState } from 'react'
+import { findDuplicates } from './duplicates.js'
+import { StatBadge } from './ui.jsx'
+
+const MATCH_LABELS = {
+  uri: 'same Spotify track',
+  name: 'same artist + title',
+}
+
+function PlaylistLink({ index, name, onSelect, suffix }) {
+  return (
+    <button className="link-btn" onClick={() => onSelect(index)} title={`Open ${name}`}>
+      {name}{suffix}
+    </button>
+  )
+}
+
+export default function DuplicatesView({ playlists, onSelectPlaylist }) {
+  const [includeLiked, setIncludeLiked] = useState(false)
+  const result = useMemo(() => findDuplicates(playlists, { includeLiked }), [playlists, includeLiked])
+  const { withinPlaylists, acrossPlaylists, duplicateTracks } = result
+
+  return (
+    <div className="duplicates">
+      <div className="content-header">
+        <div className="content-title">Duplicates</div>
+        <div className="content-meta">Matched by Spotify URI, or by artist and title without “Remastered”, “feat.” and similar tags</div>
+        <div className="spacer" />
+        <label className="checkbox">
+          <input type="checkbox" checked={includeLiked} onChange={(e) => setIncludeLiked(e.target.checked)} />
+          Include Liked Songs
+        </label>
+      </div>
+
+      <div className="stats-grid">
+        <StatBadge label="Redundant copies" value={duplicateTracks.toLocaleString()} />
+        <StatBadge label="Playlists with repeats" value={withinPlaylists.length.toLocaleString()} />
+        <StatBadge label="Songs in 2+ playlists" value={acrossPlaylists.length.toLocaleString()} />
+      </div>
+
+      <div className="section">
+        <div className="section-title">Repeated inside a playlist</div>
+        {withinPlaylists.length === 0 && <div className="header-note">No playlist contains the same song twice.</div>}
+        <div className="duplicates__list">
+          {withinPlaylists.map((p) => (
+            <details key={p.playlistIndex} className="card padded duplicates__item">
+              <summary>
+                <PlaylistLink index={p.playlistIndex} name={p.name} onSelect={onSelectPlaylist} />
+                <span className="header-note"> · {p.groups.length} repeated song{p.groups.length === 1 ? '' : 's'}</span>
+              </summary>
+              <ul className="duplicates__groups">
+                {p.groups.map((g) => (
+                  <li key={g.positions.join('-')}>
+                    <span className="truncate">{g.title} <span className="listening__sub">· {g.artists.join(', ')}</span></span>
+                    <span className="header-note">
+                      ×{g.positions.length} at #{g.positions.map((pos) => pos + 1).join(', #')} ({MATCH_LABELS[g.matchedBy]})
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </details>
+          ))}
+        </div>
+      </div>
+
+      <div className="section">
+        <div className="section-title">Songs in several playlists</div>
+        {acrossPlaylists.length === 0 && <div className="header-note">Every song appears in only one playlist.</div>}
+        <div className="duplicates__list">
+          {acrossPlaylists.slice(0, 500).map((c) => (
+            <details key={c.id} className="card padded duplicates__item">
+              <summary>
+                <span>{c.title}</span>
+                <span className="listening__sub"> · {c.artists.join(', ')}</span>
+                <span className="header-note"> · {c.playlists.length} playlists, {c.occurrences} copies ({MATCH_LABELS[c.matchedBy]})</span>
+              </summary>
+              <div className="duplicates__playlists">
+                {c.playlists.map((p) => (
+                  <PlaylistLink
+                    key={p.playlistIndex}
+                    index={p.playlistIndex}
+                    name={p.name}
+                    onSelect={onSelectPlaylist}
+                    suffix={p.count > 1 ? ` ×${p.count}` : ''}
+                  />
+                ))}
+              </div>
+            </details>
+          ))}
+        </div>
+        {acrossPlaylists.length > 500 && <div className="header-note">Showing the 500 most widespread songs.</div>}
+      </div>
+    </div>
+  )
+}
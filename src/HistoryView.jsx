@@ -0,0 +1,179 @@
+import { useEffect, useState } from 'react'
+import {
+  deleteSnapshot,
+  formatBytes,
+  getStorageUsage,
+  labelSnapshot,
+  loadSnapshot,
+  loadSnapshotRetention,
+  requestPersistentStorage,
+  saveSnapshotRetention,
+  snapshotName,
+} from './cacheDb.js'
+
+// How much of the browser's storage the cache takes; `version` changes whenever that may have changed
+function StorageUsage({ version }) {
+  const [usage, setUsage] = useState(null)
+  const [asked, setAsked] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    getStorageUsage()
+      .then((next) => !cancelled && setUsage(next))
+      .catch(() => !cancelled && setUsage(null))
+    return () => {
+      cancelled = true
+    }
+  }, [version, asked])
+
+  if (!usage) return null
+  const share = usage.quota ? usage.usage / usage.quota : 0
+  return (
+    <div className="history__storage">
+      <span className="header-note">
+        Using {formatBytes(usage.usage)} of {formatBytes(usage.quota)} available to this site{share >= 0.8 ? ' — nearly full' : ''}.
+        {usage.persisted ? ' The browser keeps it even when disk space runs low.' : ' The browser may clear it when disk space runs low.'}
+      </span>
+      {!usage.persisted && (
+        <button className="btn" disabled={asked} onClick={() => requestPersistentStorage().finally(() => setAsked(true))}>
+          {asked ? 'Not granted' : 'Keep it'}
+        </button>
+      )}
+    </div>
+  )
+}
+
+function LabelForm({ snapshot, onSave, onCancel }) {
+  const [label, setLabel] = useState(snapshot.label || '')
+  return (
+    <form
+      className="history__label-form"
+      onSubmit={(e) => {
+        e.preventDefault()
+        onSave(label)
+      }}
+    >
+      <input className="search-input" value={label} onChange={(e) => setLabel(e.target.value)} placeholder="e.g. Before the big cleanup" aria-label="Snapshot label" autoFocus />
+      <button className="btn" type="submit">Save</button>
+      <button className="btn" type="button" onClick={onCancel}>Cancel</button>
+    </form>
+  )
+}
+
+function RetentionForm({ onSaved }) {
+  const [retention, setRetention] = useState(loadSnapshotRetention)
+  const [saved, setSaved] = useState(true)
+  const update = (field, value) => {
+    setRetention({ ...retention, [field]: value })
+    setSaved(false)
+  }
+  const maxCount = Math.max(1, Math.floor(Number(retention.maxCount)) || 1)
+  const maxAgeDays = Math.max(0, Math.floor(Number(retention.maxAgeDays)) || 0)
+
+  return (
+    <form
+      className="card padded history__retention"
+      onSubmit={async (e) => {
+        e.preventDefault()
+        await saveSnapshotRetention({ maxCount, maxAgeDays })
+        setRetention({ maxCount, maxAgeDays })
+        setSaved(true)
+        onSaved()
+      }}
+    >
+      <label>
+        Keep the last
+        <input className="search-input" type="number" min="1" value={retention.maxCount} onChange={(e) => update('maxCount', e.target.value)} />
+        per account
+      </label>
+      <label>
+        and delete those older than
+        <input className="search-input" type="number" min="0" value={retention.maxAgeDays} onChange={(e) => update('maxAgeDays', e.target.value)} />
+        days (0 = never)
+      </label>
+      <button className="btn" type="submit" disabled={saved}>Apply</button>
+      <div className="header-note">Labelled snapshots and each account’s newest one are always kept.</div>
+    </form>
+  )
+}
+
+// Lists the cached library's snapshot history. `onRestore(snapshot)` makes one the current library,
+// `onChange()` reloads `snapshots` after a label, delete or retention change.
+export default function HistoryView({ snapshots, onRestore, onChange, onDownload }) {
+  const [editing, setEditing] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+  const [error, setError] = useState('')
+  const showAccounts = new Set(snapshots.map((s) => s.accountId)).size > 1
+
+  const run = async (id, action) => {
+    setBusyId(id)
+    setError('')
+    try {
+      await action()
+    } catch (e) {
+      setError(String(e?.message || e))
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const exportSnapshot = (snapshot) => run(snapshot.id, async () => {
+    const loaded = await loadSnapshot(snapshot.id)
+    if (!loaded) throw new Error('That snapshot no longer exists.')
+    const day = new Date(snapshot.createdAt).toISOString().slice(0, 10)
+    const json = JSON.stringify({ playlists: loaded.playlists }, null, 2)
+    onDownload(new Blob([json], { type: 'application/json' }), `playlistory-snapshot-${day}.json`)
+  })
+
+  return (
+    <div className="duplicates history">
+      <div className="content-header">
+        <div className="content-title">History</div>
+        <div className="content-meta">Every fetch from Spotify that changed something is kept as a snapshot in this browser</div>
+      </div>
+
+      <StorageUsage version={snapshots} />
+      <RetentionForm onSaved={onChange} />
+      {error && <div className="search-error" role="alert">{error}</div>}
+
+      {snapshots.length === 0 ? (
+        <div className="header-note">No snapshots yet. They are taken when you fetch your playlists from Spotify.</div>
+      ) : (
+        <ul className="duplicates__groups history__list">
+          {snapshots.map((s) => (
+            <li key={s.id} className="card padded">
+              {editing === s.id ? (
+                <LabelForm
+                  snapshot={s}
+                  onCancel={() => setEditing(null)}
+                  onSave={(label) => run(s.id, async () => {
+                    await labelSnapshot(s.id, label)
+                    setEditing(null)
+                    onChange()
+                  })}
+                />
+              ) : (
+                <>
+                  <span className="truncate">
+                    {snapshotName(s)}
+                    {showAccounts && <span className="listening__sub"> · {s.user?.display_name || s.user?.id || 'Unknown account'}</span>}
+                  </span>
+                  <span className="header-note">{s.playlistCount.toLocaleString()} playlists · {s.trackCount.toLocaleString()} tracks</span>
+                  <div className="history__actions">
+                    <button className="btn" disabled={busyId !== null} onClick={() => run(s.id, () => onRestore(s))} title="Make this the cached library and show it">Restore</button>
+                    <button className="btn" disabled={busyId !== null} onClick={() => exportSnapshot(s)}>Export</button>
+                    <button className="btn" disabled={busyId !== null} onClick={() => setEditing(s.id)}>{s.label ? 'Rename' : 'Label'}</button>
+                    <button className="btn" disabled={busyId !== null} onClick={() => run(s.id, async () => {
+                      await deleteSnapshot(s.id)
+                      onChange()
+                    })}>Delete</button>
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,146 @@
+import { useMemo, useState } from 'react'
+import { computeListeningStats } from './streamingHistory.js'
+import { StatBadge, SegmentedControl } from './ui.jsx'
+
+const METRIC_OPTIONS = [
+  { value: 'plays', label: 'By plays' },
+  { value: 'ms', label: 'By time' },
+]
+
+function formatHours(ms) {
+  const hours = ms / 3_600_000
+  return hours >= 10 ? Math.round(hours).toLocaleString() : hours.toFixed(1)
+}
+
+function formatListenTime(ms) {
+  const minutes = Math.round(ms / 60_000)
+  if (minutes < 60) return `${minutes}m`
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+}
+
+function formatPercent(part, total) {
+  return total ? `${Math.round((part / total) * 100)}%` : '–'
+}
+
+function RankedList({ title, rows, metric, labelOf, subLabelOf }) {
+  const max = rows.length ? rows[0][metric] : 0
+
+  return (
+    <div className="section">
+      <div className="section-title">{title}</div>
+      <div className="top-artists-list">
+        {rows.map((row) => (
+          <div key={row.key || row.artist} className="top-artist">
+            <div className="artist-name truncate" title={subLabelOf ? `${labelOf(row)} — ${subLabelOf(row)}` : labelOf(row)}>
+              {labelOf(row)}
+              {subLabelOf && <span className="listening__sub"> · {subLabelOf(row)}</span>}
+            </div>
+            <div className="bar-bg">
+              <div className="bar-fill" style={{ width: `${max ? (row[metric] / max) * 100 : 0}%` }} />
+            </div>
+            <div className="artist-count listening__count">{metric === 'ms' ? formatListenTime(row.ms) : row.plays}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function MonthChart({ months }) {
+  if (!months.length) return null
+  const max = Math.max(...months.map((m) => m.plays))
+
+  return (
+    <div className="year-hist">
+      <div className="section-title">Plays per month</div>
+      <div className="year-bars month-bars">
+        {months.map((m, i) => (
+          <div key={m.month} className="year-col">
+            <div className="year-bar" title={`${m.month}: ${m.plays} plays, ${formatListenTime(m.ms)}`}>
+              <div className="fill" style={{ height: `${(m.plays / max) * 100}%` }} />
+            </div>
+            <div className="year-label">{i === 0 || m.month.endsWith('-01') ? m.month.slice(0, 4) : ''}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default function ListeningStats({ plays, playlists }) {
+  const [metric, setMetric] = useState('plays')
+  const stats = useMemo(() => computeListeningStats(plays, { playlists }), [plays, playlists])
+  const topTracks = metric === 'ms' ? stats.topTracksByMs : stats.topTracksByPlays
+  const topArtists = metric === 'ms' ? stats.topArtistsByMs : stats.topArtistsByPlays
+  const other = stats.totalPlays - stats.skipped - stats.completed
+
+  return (
+    <div className="listening">
+      <div className="content-header">
+        <div className="content-title">Listening history</div>
+        {stats.firstTs !== null && (
+          <div className="content-meta">
+            {new Date(stats.firstTs).toLocaleDateString()} – {new Date(stats.lastTs).toLocaleDateString()}
+          </div>
+        )}
+        <div className="spacer" />
+        <SegmentedControl label="Rank by" options={METRIC_OPTIONS} value={metric} onChange={setMetric} />
+      </div>
+
+      <div className="stats-grid listening__badges">
+        <StatBadge label="Hours" value={formatHours(stats.totalMs)} />
+        <StatBadge label="Plays" value={stats.totalPlays.toLocaleString()} />
+        <StatBadge label="Tracks" value={stats.uniqueTracks.toLocaleString()} />
+        <StatBadge label="Artists" value={stats.uniqueArtists.toLocaleString()} />
+        <StatBadge label="Completed" value={formatPercent(stats.completed, stats.totalPlays)} />
+        <StatBadge label="Skipped" value={formatPercent(stats.skipped, stats.totalPlays)} />
+      </div>
+
+      <div className="section">
+        <div className="section-title">Skipped vs completed</div>
+        <div className="ratio-bar" title={`${stats.completed} completed, ${stats.skipped} skipped, ${other} other`}>
+          <div className="ratio-bar__completed" style={{ width: formatPercent(stats.completed, stats.totalPlays) }} />
+          <div className="ratio-bar__skipped" style={{ width: formatPercent(stats.skipped, stats.totalPlays) }} />
+        </div>
+      </div>
+
+      <div className="listening__grid">
+        <RankedList
+          title="Top tracks"
+          rows={topTracks}
+          metric={metric}
+          labelOf={(r) => r.title}
+          subLabelOf={(r) => r.artist || 'Unknown artist'}
+        />
+        <RankedList title="Top artists" rows={topArtists} metric={metric} labelOf={(r) => r.artist} />
+      </div>
+
+      <MonthChart months={stats.playsPerMonth} />
+
+      {stats.libraryTracks > 0 && (
+        <div className="section">
+          <div className="section-title">Library vs history</div>
+          <div className="header-note">
+            {stats.linkedTracks.toLocaleString()} of {stats.libraryTracks.toLocaleString()} library tracks appear in your history
+            (matched by Spotify URI, or by artist and title).
+          </div>
+          {stats.likedNeverPlayed.length > 0 && (
+            <details>
+              <summary>{stats.likedNeverPlayed.length.toLocaleString()} liked songs never played</summary>
+              <ul className="listening__never-played">
+                {stats.likedNeverPlayed.slice(0, 500).map((t, i) => (
+                  <li key={`${t.uri || ''}-${i}`} className="truncate">
+                    {t.title} <span className="listening__sub">· {t.artists.join(', ')}</span>
+                  </li>
+                ))}
+              </ul>
+              {stats.likedNeverPlayed.length > 500 && (
+                <div className="header-note">Showing the first 500.</div>
+              )}
+            </details>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,98 @@
+import { useState } from 'react'
+import { allProviders, createCustomProvider, TEMPLATE_PLACEHOLDERS, validateTemplate } from './providers.js'
+import { QUERY_MODES } from './searchQuery.js'
+import { SegmentedControl } from './ui.jsx'
+
+// Chooses which search providers show as buttons on each track row, the default one, and custom URL templates
+export default function ProvidersMenu({ settings, onChange }) {
+  const [name, setName] = useState('')
+  const [template, setTemplate] = useState('')
+  const [formError, setFormError] = useState('')
+  const enabled = new Set(settings.enabled)
+
+  const toggle = (id) => {
+    const next = enabled.has(id) ? settings.enabled.filter((x) => x !== id) : [...settings.enabled, id]
+    onChange({ ...settings, enabled: next })
+  }
+
+  const remove = (id) => {
+    const custom = settings.custom.filter((p) => p.id !== id)
+    const nextEnabled = settings.enabled.filter((x) => x !== id)
+    onChange({
+      ...settings,
+      custom,
+      enabled: nextEnabled,
+      defaultId: settings.defaultId === id ? nextEnabled[0] || 'ytm' : settings.defaultId,
+    })
+  }
+
+  const add = (e) => {
+    e.preventDefault()
+    const problem = validateTemplate(template)
+    if (problem) {
+      setFormError(problem)
+      return
+    }
+    const provider = createCustomProvider(name, template)
+    onChange({ ...settings, custom: [...settings.custom, provider], enabled: [...settings.enabled, provider.id] })
+    setName('')
+    setTemplate('')
+    setFormError('')
+  }
+
+  return (
+    <details className="export-menu providers-menu">
+      <summary className="btn">Search on…</summary>
+      <div className="export-menu__panel card">
+        <div className="providers-menu__mode">
+          <SegmentedControl
+            label="Search query"
+            options={QUERY_MODES}
+            value={settings.queryMode}
+            onChange={(queryMode) => onChange({ ...settings, queryMode })}
+          />
+          <div className="header-note">
+            {settings.queryMode === 'exact'
+              ? 'Artist and title exactly as on Spotify.'
+              : 'Drops “Remastered”, “feat.”, “Radio Edit” and similar tags, keeps the main artist and folds accents. Open a track to preview its query.'}
+          </div>
+        </div>
+        <div className="providers-menu__grid" role="group" aria-label="Search providers">
+          <div className="providers-menu__head">Button</div>
+          <div className="providers-menu__head">Default</div>
+          <div className="providers-menu__head">Provider</div>
+          <div />
+          {allProviders(settings).map((p) => (
+            <div key={p.id} className="providers-menu__row">
+              <input type="checkbox" checked={enabled.has(p.id)} onChange={() => toggle(p.id)} aria-label={`Show a ${p.name} button`} />
+              <input
+                type="radio"
+                name="default-provider"
+                checked={settings.defaultId === p.id}
+                onChange={() => onChange({ ...settings, defaultId: p.id })}
+                aria-label={`Make ${p.name} the default`}
+              />
+              <span className="truncate" title={p.template}>{p.name} <span className="header-note">({p.short})</span></span>
+              {p.custom
+                ? <button className="link-btn" onClick={() => remove(p.id)} aria-label={`Remove ${p.name}`}>Remove</button>
+                : <span />}
+            </div>
+          ))}
+        </div>
+        <form className="providers-menu__form" onSubmit={add}>
+          <div className="section-title">Custom search URL</div>
+          <input className="search-input" value={name} onChange={(e) => setName(e.target.value)} placeholder="Name, e.g. Beatport" />
+          <input
+            className={formError ? 'search-input is-invalid' : 'search-input'}
+            value={template}
+            onChange={(e) => setTemplate(e.target.value)}
+            placeholder="https://example.com/search?q={artist}+{title}"
+          />
+          {formError && <div className="search-error" role="alert">{formError}</div>}
+          <div className="header-note">Placeholders: {TEMPLATE_PLACEHOLDERS.map((p) => `{${p}}`).join(' ')}</div>
+          <button className="btn" type="submit">Add</button>
+        </form>
+      </div>
+    </details>
+  )
+}
@@ -0,0 +1,208 @@
+import { useEffect, useRef, useState } from 'react'
+import { beginLogin, hasWriteAccess } from './spotifyAuth.js'
+import { isAbortError } from './spotifyApi.js'
+import { applyWritePlan, combineTracks, dedupeTracks, PartialWriteError, planNewPlaylist, planRemoveDuplicates, SET_OPERATIONS } from './playlistWrites.js'
+import { SegmentedControl } from './ui.jsx'
+
+const PREVIEW_LIMIT = 100
+
+const OPERATION_NAMES = {
+  union: (a, b) => `${a} + ${b}`,
+  intersection: (a, b) => `${a} ∩ ${b}`,
+  difference: (a, b) => `${a} − ${b}`,
+}
+
+// Builds write plans from the current playlist; nothing is sent to Spotify until the preview is confirmed
+export default function SaveToSpotifyMenu({ playlists, currentIndex, visibleTracks, isFiltered, canEdit, onPlan }) {
+  const current = playlists[currentIndex]
+  const [operation, setOperation] = useState('union')
+  const [otherIndex, setOtherIndex] = useState('')
+  const other = otherIndex === '' ? null : playlists[Number(otherIndex)]
+  if (!current) return null
+
+  const plan = (e, next) => {
+    e.currentTarget.closest('details')?.removeAttribute('open')
+    onPlan(next)
+  }
+
+  return (
+    <details className="export-menu spotify-writer">
+      <summary className="btn">Save to Spotify</summary>
+      <div className="export-menu__panel card">
+        <div className="section-title">New playlist from</div>
+        <div className="export-menu__scopes">
+          <button
+            className="btn"
+            disabled={!isFiltered}
+            onClick={(e) => plan(e, planNewPlaylist({ name: `${current.name} (filtered)`, tracks: visibleTracks }))}
+          >
+            Visible tracks{isFiltered ? ` (${visibleTracks.length})` : ''}
+          </button>
+          <button
+            className="btn"
+            onClick={(e) => plan(e, planNewPlaylist({ name: `${current.name} (no duplicates)`, tracks: dedupeTracks(current.tracks).kept }))}
+          >
+            This playlist without duplicates
+          </button>
+        </div>
+        <div className="spotify-writer__combine">
+          <SegmentedControl label="Songs in" options={SET_OPERATIONS} value={operation} onChange={setOperation} />
+          <select className="search-input" value={otherIndex} onChange={(e) => setOtherIndex(e.target.value)} aria-label="Compare with playlist">
+            <option value="">Compare with…</option>
+            {playlists.map((p, i) => i !== currentIndex && <option key={i} value={i}>{p.name}</option>)}
+          </select>
+          <button
+            className="btn"
+            disabled={!other}
+            onClick={(e) => plan(e, planNewPlaylist({
+              name: OPERATION_NAMES[operation](current.name, other.name),
+              tracks: combineTracks(current.tracks, other.tracks, operation),
+            }))}
+          >
+            Combine
+          </button>
+        </div>
+        <div className="section-title">Edit this playlist</div>
+        <button
+          className="btn"
+          disabled={!canEdit}
+          title={canEdit ? '' : 'Only playlists you own, fetched from Spotify, can be edited'}
+          onClick={(e) => plan(e, planRemoveDuplicates(current))}
+        >
+          Remove duplicates…
+        </button>
+      </div>
+    </details>
+  )
+}
+
+function TrackPreview({ items }) {
+  return (
+    <>
+      <ol className="spotify-writer__list">
+        {items.slice(0, PREVIEW_LIMIT).map(({ track, position }, i) => (
+          <li key={`${position ?? i}:${track.uri || track.title}`}>
+            {position != null && <span className="header-note">#{position + 1}</span>}
+            <span className="truncate">{track.title} <span className="listening__sub">· {track.artists.join(', ')}</span></span>
+          </li>
+        ))}
+      </ol>
+      {items.length > PREVIEW_LIMIT && <div className="header-note">…and {items.length - PREVIEW_LIMIT} more.</div>}
+    </>
+  )
+}
+
+// Dry-run preview of a plan with the button that applies it. `onApplied(result)` runs after Spotify accepted every request.
+// A dedupe that stops partway lists the kept copies that are missing and offers to finish it.
+export function WritePlanPreview({ plan, onPlanChange, onClose, onApplied, formatError }) {
+  const [progress, setProgress] = useState(null)
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState('')
+  const [partial, setPartial] = useState(null)
+  const abortRef = useRef(null)
+  const canWrite = hasWriteAccess(plan.accountId || undefined)
+  const isCreate = plan.kind === 'create'
+  const hasChanges = isCreate ? plan.added.length > 0 : plan.removed.length > 0
+
+  useEffect(() => () => abortRef.current?.abort(), [])
+
+  const apply = async (toApply = plan) => {
+    const controller = new AbortController()
+    abortRef.current = controller
+    setError('')
+    setPartial(null)
+    setProgress({ done: 0, total: toApply.requests })
+    try {
+      const applied = await applyWritePlan(toApply, { signal: controller.signal, onProgress: setProgress })
+      setResult(applied)
+      onApplied?.(applied)
+    } catch (e) {
+      if (e instanceof PartialWriteError) {
+        setPartial(e)
+        setError(`${e.message} ${isAbortError(e.cause) ? 'You cancelled it.' : formatError(e.cause)}`)
+      } else {
+        const stopped = isCreate ? 'Stopped. The new playlist may already exist with only some of the tracks.' : 'Cancelled before anything was changed.'
+        setError(isAbortError(e) ? stopped : formatError(e))
+      }
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null
+      setProgress(null)
+    }
+  }
+
+  return (
+    <div className="card padded import-report spotify-writer__preview">
+      <div className="import-report__header">
+        <div className="section-title">{isCreate ? 'New Spotify playlist' : `Remove duplicates from “${plan.name}”`}</div>
+        <div className="spacer" />
+        {progress
+          ? <button className="btn" onClick={() => abortRef.current?.abort()}>Stop</button>
+          : <button className="btn" onClick={onClose}>{result ? 'Done' : 'Cancel'}</button>}
+      </div>
+
+      {isCreate && !result && (
+        <div className="spotify-writer__fields">
+          <input
+            className="search-input"
+            value={plan.name}
+            onChange={(e) => onPlanChange({ ...plan, name: e.target.value })}
+            aria-label="Playlist name"
+            disabled={!!progress}
+          />
+          <label className="checkbox">
+            <input type="checkbox" checked={plan.isPublic} onChange={(e) => onPlanChange({ ...plan, isPublic: e.target.checked })} disabled={!!progress} />
+            Public
+          </label>
+        </div>
+      )}
+
+      <div className="header-note">
+        {isCreate
+          ? `${plan.added.length} track${plan.added.length === 1 ? '' : 's'} will be added in ${plan.requests} request${plan.requests === 1 ? '' : 's'}.`
+          : hasChanges
+            ? `${plan.removed.length} repeated cop${plan.removed.length === 1 ? 'y' : 'ies'} will be removed (${plan.before} → ${plan.after} tracks) in ${plan.requests} requests. The first copy of each song stays where it is.`
+            : 'This playlist has no duplicates that can be removed.'}
+        {isCreate && plan.skipped.length > 0 && ` ${plan.skipped.length} local file${plan.skipped.length === 1 ? '' : 's'} or episode${plan.skipped.length === 1 ? '' : 's'} can't be added and will be left out.`}
+        {!isCreate && plan.unremovable.length > 0 && ` ${plan.unremovable.length} repeated local file${plan.unremovable.length === 1 ? '' : 's'} can't be removed through Spotify's API.`}
+      </div>
+
+      {hasChanges && !result && (
+        <details>
+          <summary className="header-note">{isCreate ? 'Tracks to add' : 'Copies to remove'}</summary>
+          <TrackPreview items={isCreate ? plan.added.map((track) => ({ track })) : plan.removed} />
+        </details>
+      )}
+
+      {result ? (
+        <div className="header-note">
+          {isCreate ? `Created “${plan.name}”. ` : `Removed ${plan.removed.length} duplicates. `}
+          {result.url && <a href={result.url} target="_blank" rel="noreferrer">Open in Spotify</a>}
+        </div>
+      ) : !canWrite ? (
+        <div className="spotify-writer__actions">
+          <div className="header-note">PlayListory can only read your library so far. Allow it to edit playlists to save this to Spotify.</div>
+          <button className="btn" onClick={() => beginLogin({ write: true, showDialog: true })}>Allow editing</button>
+        </div>
+      ) : partial ? (
+        <div className="spotify-writer__actions">
+          <details>
+            <summary className="header-note">Missing from the playlist</summary>
+            <TrackPreview items={partial.missing.map((track) => ({ track }))} />
+          </details>
+          <button className="btn" disabled={!!progress} onClick={() => apply(partial.resumePlan)}>
+            {progress ? `Saving… ${progress.done}/${progress.total}` : 'Retry and put them back'}
+          </button>
+        </div>
+      ) : (
+        <div className="spotify-writer__actions">
+          <button className="btn" disabled={!hasChanges || !!progress} onClick={() => apply()}>
+            {progress
+              ? `Saving… ${progress.done}/${progress.total}`
+              : isCreate ? 'Create playlist' : `Remove ${plan.removed.length} duplicates`}
+          </button>
+        </div>
+      )}
+      {error && <div className="search-error" role="alert">{error}</div>}
+    </div>
+  )
+}
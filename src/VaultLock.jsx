@@ -0,0 +1,222 @@
+import { useState } from 'react'
+import { eraseCache, reencodeCache } from './cacheDb.js'
+import { TOKEN_STORAGE_KEYS } from './spotifyAuth.js'
+import {
+  changePassphrase,
+  checkPassphrase,
+  commitVault,
+  disableVault,
+  getAutoLockMinutes,
+  isVaultEnabled,
+  lockVault,
+  prepareVault,
+  resetVault,
+  setAutoLockMinutes,
+  unlockVault,
+} from './vault.js'
+import { SegmentedControl } from './ui.jsx'
+
+const PASSPHRASE_MODES = [
+  { value: 'change', label: 'Change passphrase' },
+  { value: 'remove', label: 'Remove passphrase' },
+]
+const MIN_PASSPHRASE_LENGTH = 8
+
+function passphraseProblem(passphrase, repeated) {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) return `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`
+  if (passphrase !== repeated) return 'The passphrases don’t match.'
+  return ''
+}
+
+// The new key only exists in memory until commitVault stores it, so if sealing or storing the key fails,
+// the cache is put back in the clear before the key is dropped
+async function enableVault(passphrase) {
+  const wrapped = await prepareVault(passphrase)
+  try {
+    await reencodeCache(true)
+    await commitVault(wrapped, { secretKeys: TOKEN_STORAGE_KEYS })
+  } catch (e) {
+    // reencodeCache is one transaction: after a failed seal nothing changed, after a failed commit this undoes it.
+    // Should that fail too, the key stays in memory so the sealed records remain readable for now.
+    await reencodeCache(false)
+    lockVault()
+    throw e
+  }
+}
+
+async function removeVault(passphrase) {
+  await checkPassphrase(passphrase)
+  await reencodeCache(false)
+  await disableVault()
+}
+
+function PassphraseField({ label, value, onChange, autoFocus = false }) {
+  return (
+    <input
+      className="search-input"
+      type="password"
+      autoComplete="off"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={label}
+      aria-label={label}
+      autoFocus={autoFocus}
+    />
+  )
+}
+
+function AutoLockField() {
+  const [minutes, setMinutes] = useState(getAutoLockMinutes)
+  return (
+    <label className="vault__auto-lock">
+      Lock after
+      <input
+        className="search-input"
+        type="number"
+        min="0"
+        value={minutes}
+        onChange={(e) => {
+          setMinutes(e.target.value)
+          const next = Math.floor(Number(e.target.value))
+          if (Number.isFinite(next) && next >= 0) setAutoLockMinutes(next)
+        }}
+      />
+      idle minutes (0 = never)
+    </label>
+  )
+}
+
+// Header menu to set, change or remove the passphrase that locks the cache and stored Spotify tokens
+export default function LockMenu() {
+  const [enabled, setEnabled] = useState(isVaultEnabled)
+  const [mode, setMode] = useState('change')
+  const [current, setCurrent] = useState('')
+  const [passphrase, setPassphrase] = useState('')
+  const [repeated, setRepeated] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+
+  const run = async (e, action, done) => {
+    e.preventDefault()
+    setBusy(true)
+    setError('')
+    setNotice('')
+    try {
+      await action()
+      setCurrent('')
+      setPassphrase('')
+      setRepeated('')
+      setEnabled(isVaultEnabled())
+      setNotice(done)
+    } catch (err) {
+      setError(String(err?.message || err))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const problem = passphraseProblem(passphrase, repeated)
+
+  return (
+    <details className="export-menu vault-menu">
+      <summary className="btn">{enabled ? 'Locked with passphrase' : 'Lock…'}</summary>
+      <div className="export-menu__panel card">
+        {!enabled ? (
+          <form onSubmit={(e) => run(e, () => enableVault(passphrase), 'Passphrase set. The cache and sign-ins are now encrypted.')}>
+            <div className="header-note">
+              Encrypt the cached libraries, snapshots and Spotify sign-ins in this browser. You’ll need the passphrase
+              each time PlayListory opens; if you forget it, the cache has to be deleted.
+            </div>
+            <PassphraseField label="New passphrase" value={passphrase} onChange={setPassphrase} />
+            <PassphraseField label="Repeat passphrase" value={repeated} onChange={setRepeated} />
+            {passphrase && repeated && problem && <div className="header-note">{problem}</div>}
+            <button className="btn" type="submit" disabled={busy || !!problem}>{busy ? 'Encrypting…' : 'Set passphrase'}</button>
+          </form>
+        ) : (
+          <>
+            <div className="vault__actions">
+              <button className="btn" onClick={lockVault}>Lock now</button>
+            </div>
+            <AutoLockField />
+            <SegmentedControl label="Passphrase" options={PASSPHRASE_MODES} value={mode} onChange={setMode} />
+            {mode === 'change' ? (
+              <form onSubmit={(e) => run(e, () => changePassphrase(current, passphrase), 'Passphrase changed.')}>
+                <PassphraseField label="Current passphrase" value={current} onChange={setCurrent} />
+                <PassphraseField label="New passphrase" value={passphrase} onChange={setPassphrase} />
+                <PassphraseField label="Repeat new passphrase" value={repeated} onChange={setRepeated} />
+                {passphrase && repeated && problem && <div className="header-note">{problem}</div>}
+                <button className="btn" type="submit" disabled={busy || !current || !!problem}>{busy ? 'Changing…' : 'Change'}</button>
+              </form>
+            ) : (
+              <form onSubmit={(e) => run(e, () => removeVault(current), 'Passphrase removed. The cache is stored unencrypted again.')}>
+                <div className="header-note">The cache and sign-ins stay, stored without encryption.</div>
+                <PassphraseField label="Current passphrase" value={current} onChange={setCurrent} />
+                <button className="btn" type="submit" disabled={busy || !current}>{busy ? 'Decrypting…' : 'Remove passphrase'}</button>
+              </form>
+            )}
+          </>
+        )}
+        {error && <div className="search-error" role="alert">{error}</div>}
+        {notice && <div className="header-note">{notice}</div>}
+      </div>
+    </details>
+  )
+}
+
+// Shown instead of the app while a passphrase is set and not entered yet
+export function UnlockScreen() {
+  const [passphrase, setPassphrase] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [confirmReset, setConfirmReset] = useState(false)
+
+  const unlock = async (e) => {
+    e.preventDefault()
+    setBusy(true)
+    setError('')
+    try {
+      await unlockVault(passphrase)
+    } catch (err) {
+      setError(String(err?.message || err))
+      setBusy(false)
+    }
+  }
+
+  const reset = async () => {
+    setBusy(true)
+    try {
+      await eraseCache()
+      resetVault()
+    } catch (err) {
+      setError(String(err?.message || err))
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="mx-auto vault__unlock" style={{ maxWidth: '28rem' }}>
+      <form className="card padded" onSubmit={unlock}>
+        <div className="section-title">PlayListory is locked</div>
+        <div className="header-note">Enter your passphrase to open the cached libraries and Spotify sign-ins.</div>
+        <PassphraseField label="Passphrase" value={passphrase} onChange={setPassphrase} autoFocus />
+        <button className="btn" type="submit" disabled={busy || !passphrase}>{busy ? 'Unlocking…' : 'Unlock'}</button>
+        {error && <div className="search-error" role="alert">{error}</div>}
+      </form>
+      <div className="vault__reset">
+        {!confirmReset ? (
+          <button className="btn" disabled={busy} onClick={() => setConfirmReset(true)}>Forgot passphrase?</button>
+        ) : (
+          <>
+            <div className="header-note">
+              Without the passphrase the cache can’t be decrypted. Starting over deletes the cached libraries, snapshots,
+              migration progress and Spotify sign-ins in this browser. Your Spotify account isn’t affected.
+            </div>
+            <button className="btn" disabled={busy} onClick={reset}>Delete everything and start over</button>
+            <button className="btn" disabled={busy} onClick={() => setConfirmReset(false)}>Cancel</button>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
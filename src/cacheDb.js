@@ -1,107 +1,806 @@
-// Minimal IndexedDB helper for caching fetched data locally
+// IndexedDB cache for fetched libraries, their snapshot history and migration progress.
+// A library is kept normalized: one record per playlist, per distinct track and per playlist entry, so a sync only
+// rewrites the playlists that changed and a single playlist can be read without loading the whole library.
+// With a passphrase set (vault.js), records are stored sealed; see encodeRecord.
+
+import { primaryArtist, trackMatchKeys } from './trackIdentity.js';
+import { blindKey, isSealed, isVaultEnabled, seal, unseal } from './vault.js';
 
 const DB_NAME = 'playlistory';
-const DB_VERSION = 1;
+// v2 adds the snapshot history and splits libraries into playlist, track and entry stores
+const DB_VERSION = 2;
 const STORE_NAME = 'cache';
+const SNAPSHOT_STORE = 'snapshots';
+// { id, data }: the library of the snapshot with the same id
+const SNAPSHOT_DATA_STORE = 'snapshotData';
+const SNAPSHOT_STORES = [SNAPSHOT_STORE, SNAPSHOT_DATA_STORE];
+const PLAYLIST_STORE = 'playlists';
+const TRACK_STORE = 'tracks';
+const ENTRY_STORE = 'playlistTracks';
+const LIBRARY_STORES = [STORE_NAME, PLAYLIST_STORE, TRACK_STORE, ENTRY_STORE];
+
+export class StorageQuotaError extends Error {
+  constructor(message, { usage = null, quota = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'StorageQuotaError';
+    this.usage = usage;
+    this.quota = quota;
+  }
+}
+
+function createLibraryStores(db) {
+  // [accountId, playlistKey]
+  db.createObjectStore(PLAYLIST_STORE, { keyPath: ['accountId', 'playlistKey'] });
+  // [accountId, trackKey]
+  const tracks = db.createObjectStore(TRACK_STORE, { keyPath: ['accountId', 'trackKey'] });
+  tracks.createIndex('uri', ['accountId', 'uri']);
+  // A multiEntry index can't be compound, so this one spans accounts
+  tracks.createIndex('artist', 'artists', { multiEntry: true });
+  // [accountId, playlistKey, position]
+  const entries = db.createObjectStore(ENTRY_STORE, { keyPath: ['accountId', 'playlistKey', 'position'] });
+  entries.createIndex('track', ['accountId', 'trackKey']);
+  entries.createIndex('addedAt', ['accountId', 'addedAt']);
+}
 
 function openDb() {
   return new Promise((resolve, reject) => {
     const req = indexedDB.open(DB_NAME, DB_VERSION);
-    req.onupgradeneeded = () => {
+    req.onupgradeneeded = (event) => {
       const db = req.result;
+      const txn = req.transaction;
       if (!db.objectStoreNames.contains(STORE_NAME)) {
         db.createObjectStore(STORE_NAME, { keyPath: 'key' });
       }
+      if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+        db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(SNAPSHOT_DATA_STORE)) db.createObjectStore(SNAPSHOT_DATA_STORE, { keyPath: 'id' });
+      if (!db.objectStoreNames.contains(PLAYLIST_STORE)) createLibraryStores(db);
+      if (event.oldVersion !== 1) return;
+      // In v1 a library was one record with a `data` array. It becomes normalized records under a header,
+      // and the first snapshot of its account.
+      const cursorReq = txn.objectStore(STORE_NAME).openCursor();
+      cursorReq.onsuccess = () => {
+        const cursor = cursorReq.result;
+        if (!cursor) return;
+        const record = cursor.value;
+        if (isPlaylistsKey(cursor.key) && Array.isArray(record?.data)) {
+          const { data, ...summary } = toSnapshot(record);
+          writeSnapshot(txn, { summary, data });
+          cursor.delete();
+          // Nothing could be sealed in v1, so the plan is stored as is
+          writePlan(txn, planLibrary(record));
+        }
+        cursor.continue();
+      };
     };
     req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error);
   });
 }
 
-function tx(db, mode) {
-  return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+function tx(db, mode, store = STORE_NAME) {
+  return db.transaction(store, mode).objectStore(store);
 }
 
-async function getRecord(key) {
+// Runs `work(txn)` in one transaction over `stores`; resolves with what `work` returned once it committed.
+// A full disk aborts the transaction, so nothing is half-written.
+async function withTransaction(stores, mode, work) {
   const db = await openDb();
   return new Promise((resolve, reject) => {
-    const request = tx(db, 'readonly').get(key);
+    const txn = db.transaction(stores, mode);
+    const result = work(txn);
+    txn.oncomplete = () => resolve(result);
+    txn.onabort = () => reject(txn.error);
+  });
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function getRecord(key, store = STORE_NAME) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const request = tx(db, 'readonly', store).get(key);
     request.onsuccess = () => resolve(request.result || null);
     request.onerror = () => reject(request.error);
   });
 }
 
-async function putRecord(record) {
+async function putRecord(record, store = STORE_NAME) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const request = tx(db, 'readwrite', store).put(record);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function getAllKeys(store = STORE_NAME) {
   const db = await openDb();
   return new Promise((resolve, reject) => {
-    const request = tx(db, 'readwrite').put(record);
-    request.onsuccess = () => resolve();
+    const request = tx(db, 'readonly', store).getAllKeys();
+    request.onsuccess = () => resolve(request.result || []);
     request.onerror = () => reject(request.error);
   });
 }
 
-async function clearAll() {
+// Calls `visit(value)` for every record of `store` without loading them all at once
+async function forEachRecord(store, visit) {
   const db = await openDb();
   return new Promise((resolve, reject) => {
-    const request = tx(db, 'readwrite').clear();
-    request.onsuccess = () => resolve();
+    const request = tx(db, 'readonly', store).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      visit(cursor.value);
+      cursor.continue();
+    };
     request.onerror = () => reject(request.error);
   });
 }
 
-// Public API for playlists cache
+// Public API for playlists cache. Each Spotify account has a header record in the `cache` store, keyed by user id;
+// the unkeyed header is what single-account versions wrote, and is adopted by the account it belongs to.
+// Records in the library stores carry the header's `accountId` ('' for the unkeyed one).
 
 const PLAYLISTS_KEY = 'playlistsWithTracks';
+// Older versions mirrored every library into localStorage; such a copy is moved into IndexedDB once
 const BACKUP_KEY = 'playlistory_cache_backup_v1';
 
+function playlistsKey(userId) {
+  return userId ? `${PLAYLISTS_KEY}:${userId}` : PLAYLISTS_KEY;
+}
+
+function backupKey(userId) {
+  return userId ? `${BACKUP_KEY}:${userId}` : BACKUP_KEY;
+}
+
+function isPlaylistsKey(key) {
+  return key === PLAYLISTS_KEY || String(key).startsWith(`${PLAYLISTS_KEY}:`);
+}
+
+function belongsTo(record, userId) {
+  return !!record && (!userId || !record.user?.id || record.user.id === userId);
+}
+
+// Every key that starts with `prefix` (an array); arrays sort after all other keys
+function prefixRange(...prefix) {
+  return IDBKeyRange.bound(prefix, [...prefix, []]);
+}
+
+// With a passphrase set, a record keeps only what IndexedDB needs in the clear: its key fields, as HMACs, plus
+// positions, counts and dates. The real key values and the `hidden` fields are sealed into `sealed`.
+// A track's URI and artists are indexed, so they are kept as HMACs too; the added date can't be, so its index
+// stays empty while a passphrase is set.
+const PLAYLIST_FIELDS = { keys: ['accountId', 'playlistKey'], hidden: ['id', 'name', 'owner', 'snapshotId'] };
+const TRACK_FIELDS = { keys: ['accountId', 'trackKey', 'uri', 'artists'], hidden: ['name', 'album', 'duration_ms'] };
+const ENTRY_FIELDS = { keys: ['accountId', 'playlistKey', 'trackKey'], hidden: ['addedAt'] };
+const HEADER_FIELDS = { keys: ['accountId'], hidden: ['user'] };
+// A snapshot's library is stored (and sealed) in its own record, so listing snapshots reads only their summaries
+const SNAPSHOT_FIELDS = { keys: ['accountId'], hidden: ['user', 'label', 'fingerprint'] };
+const MIGRATION_FIELDS = { keys: [], hidden: ['statuses'] };
+
+async function hideKey(text, sealed) {
+  if (Array.isArray(text)) return Promise.all(text.map((t) => hideKey(t, sealed)));
+  return sealed && text ? blindKey(text) : text;
+}
+
+async function encodeRecord(record, { keys, hidden }, sealed) {
+  if (!sealed) return record;
+  const stored = { ...record };
+  const secret = {};
+  for (const field of hidden) {
+    secret[field] = record[field];
+    delete stored[field];
+  }
+  for (const field of keys) {
+    secret[field] = record[field];
+    stored[field] = await hideKey(record[field], true);
+  }
+  stored.sealed = await seal(secret);
+  return stored;
+}
+
+async function decodeRecord(stored) {
+  if (!stored || !isSealed(stored.sealed)) return stored;
+  const { sealed, ...rest } = stored;
+  return { ...rest, ...(await unseal(sealed)) };
+}
+
+// The header's storage key is derived from the (hidden) account id
+async function encodeHeader(header, sealed) {
+  const stored = await encodeRecord(header, HEADER_FIELDS, sealed);
+  return { ...stored, key: playlistsKey(stored.accountId || null) };
+}
+
+// { summary, data }: the records writeSnapshot stores for `snapshot`
+async function encodeSnapshot({ data, ...summary }, sealed) {
+  return {
+    summary: await encodeRecord(summary, SNAPSHOT_FIELDS, sealed),
+    data: sealed ? await seal(data) : data,
+  };
+}
+
+// Puts an encoded snapshot in its two stores; a new one gets its id from the summary's put request, which is returned
+function writeSnapshot(txn, { summary, data }) {
+  const request = txn.objectStore(SNAPSHOT_STORE).put(summary);
+  request.onsuccess = () => txn.objectStore(SNAPSHOT_DATA_STORE).put({ id: request.result, data });
+  return request;
+}
+
+// The decoded snapshot with its library, or null when it is gone
+async function readSnapshot(id) {
+  const { summary, stored } = await withTransaction(SNAPSHOT_STORES, 'readonly', (txn) => ({
+    summary: requestResult(txn.objectStore(SNAPSHOT_STORE).get(id)),
+    stored: requestResult(txn.objectStore(SNAPSHOT_DATA_STORE).get(id)),
+  }));
+  const snapshot = await decodeRecord(await summary);
+  if (!snapshot) return null;
+  const data = (await stored)?.data || [];
+  return { ...snapshot, data: isSealed(data) ? await unseal(data) : data };
+}
+
+// Playlists without a Spotify id (and repeated ids) are keyed by position
+function playlistStorageKey(playlist, position, seen) {
+  const id = playlist?.id;
+  const key = id && !seen.has(id) ? id : `#${position}`;
+  seen.add(key);
+  return key;
+}
+
+function trackStorageKey(track) {
+  return track.uri || `${track.name}|${(track.artists || []).join(',')}|${track.album || ''}`;
+}
+
+// The records that make `record` ({ data, user, createdAt }) its account's library, in the clear.
+// `existing` maps playlist keys to what is stored for them; playlists whose Spotify snapshot and track count
+// didn't change keep their entries and list no tracks.
+function planLibrary(record, existing = new Map()) {
+  const accountId = record.user?.id || '';
+  const seen = new Set();
+  const plan = { accountId, playlists: [], tracks: new Map(), entries: [], rewritten: [], removed: [] };
+  let trackCount = 0;
+  (record.data || []).forEach((p, position) => {
+    const playlistKey = playlistStorageKey(p, position, seen);
+    const list = Array.isArray(p?.tracks) ? p.tracks : [];
+    const before = existing.get(playlistKey);
+    trackCount += list.length;
+    plan.playlists.push({
+      accountId,
+      playlistKey,
+      position,
+      id: p?.id || null,
+      name: p?.name || 'Untitled playlist',
+      owner: p?.owner || null,
+      snapshotId: p?.snapshotId || null,
+      trackCount: list.length,
+    });
+    if (before && p?.snapshotId && before.snapshotId === p.snapshotId && before.trackCount === list.length) return;
+    if (before) plan.rewritten.push(playlistKey);
+    list.forEach((t, index) => {
+      const trackKey = trackStorageKey(t);
+      plan.tracks.set(trackKey, { accountId, trackKey, name: t.name, artists: t.artists || [], album: t.album ?? null, uri: t.uri || null, duration_ms: t.duration_ms || null });
+      plan.entries.push({ accountId, playlistKey, position: index, trackKey, addedAt: t.added_at || null });
+    });
+  });
+  for (const playlistKey of existing.keys()) {
+    if (!seen.has(playlistKey)) plan.removed.push(playlistKey);
+  }
+  plan.tracks = [...plan.tracks.values()];
+  plan.header = {
+    key: playlistsKey(record.user?.id),
+    accountId,
+    user: record.user || null,
+    createdAt: record.createdAt || Date.now(),
+    playlistCount: plan.playlists.length,
+    trackCount,
+  };
+  return plan;
+}
+
+// The plan's records in their stored form
+async function encodePlan(plan, sealed) {
+  const encodeAll = (records, fields) => Promise.all(records.map((r) => encodeRecord(r, fields, sealed)));
+  const hideAll = (keys) => Promise.all(keys.map((k) => hideKey(k, sealed)));
+  return {
+    accountId: await hideKey(plan.accountId, sealed),
+    playlists: await encodeAll(plan.playlists, PLAYLIST_FIELDS),
+    tracks: await encodeAll(plan.tracks, TRACK_FIELDS),
+    entries: await encodeAll(plan.entries, ENTRY_FIELDS),
+    rewritten: await hideAll(plan.rewritten),
+    removed: await hideAll(plan.removed),
+    header: await encodeHeader(plan.header, sealed),
+  };
+}
+
+// Issues the writes of an encoded plan on `txn`. Tracks no entry refers to any more are dropped at the end.
+function writePlan(txn, plan) {
+  const { accountId } = plan;
+  const playlists = txn.objectStore(PLAYLIST_STORE);
+  const tracks = txn.objectStore(TRACK_STORE);
+  const entries = txn.objectStore(ENTRY_STORE);
+  const stale = new Set();
+  const dropEntries = (playlistKey) => {
+    const range = prefixRange(accountId, playlistKey);
+    const read = entries.getAll(range);
+    read.onsuccess = () => read.result.forEach((e) => stale.add(e.trackKey));
+    entries.delete(range);
+  };
+
+  for (const playlistKey of plan.rewritten) dropEntries(playlistKey);
+  for (const playlistKey of plan.removed) {
+    playlists.delete([accountId, playlistKey]);
+    dropEntries(playlistKey);
+  }
+  for (const record of plan.playlists) playlists.put(record);
+  for (const record of plan.tracks) tracks.put(record);
+  for (const record of plan.entries) entries.put(record);
+
+  // Requests complete in order, so by now every entry read above has reported its tracks
+  const barrier = entries.count();
+  barrier.onsuccess = () => {
+    for (const trackKey of stale) {
+      const uses = entries.index('track').count([accountId, trackKey]);
+      uses.onsuccess = () => {
+        if (uses.result === 0) tracks.delete([accountId, trackKey]);
+      };
+    }
+  };
+
+  txn.objectStore(STORE_NAME).put(plan.header);
+}
+
+// Removes an account's header and every record it owns
+function deleteLibrary(txn, key, accountId) {
+  txn.objectStore(STORE_NAME).delete(key);
+  for (const store of [PLAYLIST_STORE, TRACK_STORE, ENTRY_STORE]) txn.objectStore(store).delete(prefixRange(accountId));
+}
+
+function isQuotaError(e) {
+  return e?.name === 'QuotaExceededError' || e?.inner?.name === 'QuotaExceededError';
+}
+
+// Makes `record` the account's current library, replacing the one before it.
+// Throws StorageQuotaError when the browser has no room left for it; the previous library is then kept.
+async function writeCurrent(record) {
+  const sealed = isVaultEnabled();
+  const userId = record.user?.id || null;
+  const stored = await readPlaylistRecords(await hideKey(userId || '', sealed));
+  const existing = new Map(stored.map((p) => [p.playlistKey, p]));
+  const plan = await encodePlan(planLibrary(record, existing), sealed);
+  const legacy = userId ? await decodeRecord(await getRecord(PLAYLISTS_KEY)) : null;
+  try {
+    await withTransaction(LIBRARY_STORES, 'readwrite', (txn) => {
+      writePlan(txn, plan);
+      // Saving for an account supersedes the unkeyed library it was using until now
+      if (belongsTo(legacy, userId) && !legacy.accountId) deleteLibrary(txn, PLAYLISTS_KEY, '');
+    });
+  } catch (e) {
+    if (!isQuotaError(e)) throw e;
+    const usage = await getStorageUsage().catch(() => null);
+    throw new StorageQuotaError(
+      `Browser storage is full${usage ? ` (${formatBytes(usage.usage)} of ${formatBytes(usage.quota)} used)` : ''}, so this library wasn't cached. Delete old snapshots in History or purge the cache to make room.`,
+      { usage: usage?.usage ?? null, quota: usage?.quota ?? null, cause: e }
+    );
+  }
+}
+
+// Saves a fetched library as the account's current one and adds it to the snapshot history
 export async function savePlaylistsCache(playlists, user = null) {
   const record = {
-    key: PLAYLISTS_KEY,
+    key: playlistsKey(user?.id),
     data: playlists,
     user: user ? { id: user.id || null, display_name: user.display_name || null } : null,
     createdAt: Date.now(),
   };
-  await putRecord(record);
+  await writeCurrent(record);
+  await addSnapshot(record);
+  return { createdAt: record.createdAt };
+}
+
+function fromRecord(record) {
+  return {
+    playlists: record.data,
+    user: record.user || null,
+    createdAt: record.createdAt || null,
+  };
+}
+
+function toStoredTrack(track, entry) {
+  return {
+    name: track?.name || 'Unknown',
+    artists: track?.artists || [],
+    album: track?.album ?? null,
+    added_at: entry.addedAt,
+    uri: track?.uri || null,
+    duration_ms: track?.duration_ms || null,
+  };
+}
+
+// Decoded playlist records stored under `storedAccountId`, in library order
+async function readPlaylistRecords(storedAccountId) {
+  const stored = await withTransaction([PLAYLIST_STORE], 'readonly', (txn) => requestResult(txn.objectStore(PLAYLIST_STORE).getAll(prefixRange(storedAccountId))));
+  const playlists = await Promise.all(stored.map(decodeRecord));
+  return playlists.sort((a, b) => a.position - b.position);
+}
+
+// The playlists, with their tracks, that `playlists` (from readPlaylistRecords) describe
+async function readLibrary(storedAccountId, playlists) {
+  const { tracks, entries } = await withTransaction([TRACK_STORE, ENTRY_STORE], 'readonly', (txn) => ({
+    tracks: requestResult(txn.objectStore(TRACK_STORE).getAll(prefixRange(storedAccountId))),
+    entries: requestResult(txn.objectStore(ENTRY_STORE).getAll(prefixRange(storedAccountId))),
+  }));
+  const byKey = new Map((await Promise.all((await tracks).map(decodeRecord))).map((t) => [t.trackKey, t]));
+  const byPlaylist = new Map();
+  for (const entry of await Promise.all((await entries).map(decodeRecord))) {
+    if (!byPlaylist.has(entry.playlistKey)) byPlaylist.set(entry.playlistKey, []);
+    byPlaylist.get(entry.playlistKey).push(toStoredTrack(byKey.get(entry.trackKey), entry));
+  }
+  return playlists.map((p) => ({
+    id: p.id,
+    name: p.name,
+    owner: p.owner,
+    snapshotId: p.snapshotId,
+    tracks: byPlaylist.get(p.playlistKey) || [],
+  }));
+}
+
+// The decoded header of `userId`'s library, with the account id its records are stored under
+async function headerFor(userId) {
+  const stored = await getRecord(playlistsKey(await hideKey(userId, isVaultEnabled())));
+  return stored ? { ...(await decodeRecord(stored)), storedAccountId: stored.accountId || '' } : null;
+}
+
+// A library that older versions mirrored into localStorage under `key`, moved into IndexedDB
+async function adoptBackup(key, userId) {
+  let parsed = null;
   try {
-    const backup = {
-      data: record.data,
-      user: record.user || null,
-      createdAt: record.createdAt,
+    parsed = JSON.parse(localStorage.getItem(key) || 'null');
+  } catch {
+    return null;
+  }
+  if (!parsed?.data || !belongsTo(parsed, userId)) return null;
+  await writeCurrent({ data: parsed.data, user: parsed.user || null, createdAt: parsed.createdAt });
+  localStorage.removeItem(key);
+  return headerFor(parsed.user?.id || null);
+}
+
+// The header of `userId`'s cached library, or of whoever was signed in before accounts were kept apart
+async function findHeader(userId) {
+  const header = (await headerFor(userId)) || (userId ? await adoptBackup(backupKey(userId), userId) : null);
+  if (header) return header;
+  const legacy = userId ? await headerFor(null) : null;
+  if (belongsTo(legacy, userId)) return legacy;
+  return adoptBackup(BACKUP_KEY, userId);
+}
+
+// The playlists of a cached library without their tracks, in library order:
+// { user, createdAt, accountId, playlists: [{ playlistKey, id, name, owner, snapshotId, trackCount }] }, or null.
+// Pass `accountId` and a `playlistKey` to loadCachedPlaylistTracks to read one playlist's tracks.
+export async function loadCachedPlaylistSummaries(userId = null) {
+  const header = await findHeader(userId);
+  if (!header) return null;
+  return {
+    user: header.user || null,
+    createdAt: header.createdAt || null,
+    accountId: header.accountId || '',
+    playlists: await readPlaylistRecords(header.storedAccountId),
+  };
+}
+
+// One playlist's tracks, in the shape they were saved in
+export async function loadCachedPlaylistTracks(accountId, playlistKey) {
+  const sealed = isVaultEnabled();
+  const storedAccountId = await hideKey(accountId, sealed);
+  const storedPlaylistKey = await hideKey(playlistKey, sealed);
+  const pairs = await withTransaction([TRACK_STORE, ENTRY_STORE], 'readonly', (txn) => {
+    const tracks = txn.objectStore(TRACK_STORE);
+    const result = [];
+    const read = txn.objectStore(ENTRY_STORE).getAll(prefixRange(storedAccountId, storedPlaylistKey));
+    read.onsuccess = () => {
+      read.result.forEach((entry, index) => {
+        const get = tracks.get([storedAccountId, entry.trackKey]);
+        get.onsuccess = () => {
+          result[index] = [get.result, entry];
+        };
+      });
     };
-    localStorage.setItem(BACKUP_KEY, JSON.stringify(backup));
-  } catch {}
-  return { createdAt: record.createdAt };
+    return result;
+  });
+  return Promise.all(pairs.map(async ([track, entry]) => toStoredTrack(await decodeRecord(track), await decodeRecord(entry))));
 }
 
-export async function loadPlaylistsCache() {
-  const record = await getRecord(PLAYLISTS_KEY);
-  if (record) {
+// Where `track` (normalized) appears in an account's cached library, looked up on the track indexes without reading
+// the library: [{ playlistKey, entries: [{ position, addedAt, matchedBy: 'uri' | 'name' }] }], in no particular order.
+// Name matches are the tracks filed under the same primary artist whose name key matches (see trackMatchKeys).
+export async function findCachedTrackAppearances(accountId, track) {
+  const sealed = isVaultEnabled();
+  const keys = trackMatchKeys(track);
+  const uri = keys.find((k) => k.startsWith('uri:'))?.slice(4) || null;
+  const nameKey = keys.find((k) => k.startsWith('name:'));
+  const [storedAccountId, storedUri, storedArtist] = await Promise.all([
+    hideKey(accountId || '', sealed),
+    hideKey(uri, sealed),
+    hideKey(nameKey ? primaryArtist(track.artists) : '', sealed),
+  ]);
+  const found = await withTransaction([TRACK_STORE], 'readonly', (txn) => {
+    const tracks = txn.objectStore(TRACK_STORE);
     return {
-      playlists: record.data,
-      user: record.user || null,
-      createdAt: record.createdAt,
+      byUri: storedUri ? requestResult(tracks.index('uri').getAll([storedAccountId, storedUri])) : [],
+      byArtist: storedArtist ? requestResult(tracks.index('artist').getAll(storedArtist)) : [],
     };
+  });
+  const matches = new Map((await found.byUri).map((t) => [t.trackKey, 'uri']));
+  for (const stored of await found.byArtist) {
+    if (stored.accountId !== storedAccountId || matches.has(stored.trackKey)) continue;
+    const t = await decodeRecord(stored);
+    if (trackMatchKeys({ title: t.name, artists: t.artists }).includes(nameKey)) matches.set(stored.trackKey, 'name');
   }
-  // Fallback to localStorage backup (for browsers/devices that clear IDB, or private mode)
+  if (!matches.size) return [];
+
+  const stored = await withTransaction([ENTRY_STORE], 'readonly', (txn) => {
+    const byTrack = txn.objectStore(ENTRY_STORE).index('track');
+    return [...matches.keys()].map((trackKey) => requestResult(byTrack.getAll([storedAccountId, trackKey])));
+  });
+  const entries = (await Promise.all(stored)).flat();
+  const decoded = await Promise.all(entries.map(decodeRecord));
+  const byPlaylist = new Map();
+  decoded.forEach((entry, i) => {
+    if (!byPlaylist.has(entry.playlistKey)) byPlaylist.set(entry.playlistKey, { playlistKey: entry.playlistKey, entries: [] });
+    byPlaylist.get(entry.playlistKey).entries.push({ position: entry.position, addedAt: entry.addedAt, matchedBy: matches.get(entries[i].trackKey) });
+  });
+  for (const p of byPlaylist.values()) p.entries.sort((a, b) => a.position - b.position);
+  return [...byPlaylist.values()];
+}
+
+// How many tracks each playlist of an account's cached library gained after `since` (ms), counted on the added-date
+// index: Map(playlistKey -> count). Null while a passphrase is set, as the dates are sealed and not indexed.
+export async function countCachedTracksAddedSince(accountId, since) {
+  if (isVaultEnabled()) return null;
+  const from = new Date(since).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const range = IDBKeyRange.bound([accountId || '', from], [accountId || '', []], true);
+  const keys = await withTransaction([ENTRY_STORE], 'readonly', (txn) => requestResult(txn.objectStore(ENTRY_STORE).index('addedAt').getAllKeys(range)));
+  const counts = new Map();
+  for (const [, playlistKey] of await keys) counts.set(playlistKey, (counts.get(playlistKey) || 0) + 1);
+  return counts;
+}
+
+// The whole cached library of `userId` as { playlists, user, createdAt }, or null when there is none
+export async function loadPlaylistsCache(userId = null) {
+  const header = await findHeader(userId);
+  if (!header) return null;
+  const playlists = await readPlaylistRecords(header.storedAccountId);
+  return {
+    playlists: await readLibrary(header.storedAccountId, playlists),
+    user: header.user || null,
+    createdAt: header.createdAt || null,
+  };
+}
+
+// Every account's cached library and snapshot history; migration progress is the user's own work and survives a purge
+export async function purgeCache() {
+  const headers = (await getAllKeys()).filter(isPlaylistsKey);
+  await withTransaction([...LIBRARY_STORES, ...SNAPSHOT_STORES], 'readwrite', (txn) => {
+    for (const key of headers) txn.objectStore(STORE_NAME).delete(key);
+    for (const store of [PLAYLIST_STORE, TRACK_STORE, ENTRY_STORE, ...SNAPSHOT_STORES]) txn.objectStore(store).clear();
+  });
   try {
-    const raw = localStorage.getItem(BACKUP_KEY);
-    if (raw) {
-      const parsed = JSON.parse(raw);
-      if (parsed && parsed.data) {
-        return {
-          playlists: parsed.data,
-          user: parsed.user || null,
-          createdAt: parsed.createdAt || null,
-        };
-      }
+    for (const key of Object.keys(localStorage)) {
+      if (key === BACKUP_KEY || key.startsWith(`${BACKUP_KEY}:`)) localStorage.removeItem(key);
     }
-  } catch {}
-  return null;
+  } catch {
+    // localStorage is unavailable, so nothing can have been mirrored there either
+  }
 }
 
-export async function purgeCache() {
-  await clearAll();
-  try { localStorage.removeItem(BACKUP_KEY); } catch {}
+// Storage used by this site and what the browser allows, in bytes: { usage, quota, persisted }, or null when
+// the browser doesn't say. Browsers may clear non-persisted storage when the disk runs low.
+export async function getStorageUsage() {
+  if (!navigator.storage?.estimate) return null;
+  const [{ usage = 0, quota = 0 }, persisted] = await Promise.all([
+    navigator.storage.estimate(),
+    navigator.storage.persisted ? navigator.storage.persisted() : false,
+  ]);
+  return { usage, quota, persisted };
 }
 
+// Asks the browser to keep the cache even when space runs low; resolves to whether it agreed
+export async function requestPersistentStorage() {
+  return navigator.storage?.persist ? navigator.storage.persist() : false;
+}
 
+export function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  return `${(bytes / 1024 ** exponent).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
+}
+
+// Snapshot history: every save adds a timestamped copy of the library, unless nothing changed since the
+// account's latest one. Retention keeps the newest `maxCount` per account and drops those older than
+// `maxAgeDays` (0 keeps them forever); labelled snapshots and each account's newest one are always kept.
+
+const RETENTION_KEY = 'playlistory_snapshot_retention_v1';
+
+export const DEFAULT_SNAPSHOT_RETENTION = { maxCount: 10, maxAgeDays: 0 };
+
+export function loadSnapshotRetention() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RETENTION_KEY) || 'null');
+    if (!stored || typeof stored !== 'object') return DEFAULT_SNAPSHOT_RETENTION;
+    const count = Number(stored.maxCount);
+    const days = Number(stored.maxAgeDays);
+    return {
+      maxCount: Number.isInteger(count) && count >= 1 ? count : DEFAULT_SNAPSHOT_RETENTION.maxCount,
+      maxAgeDays: Number.isFinite(days) && days >= 0 ? days : DEFAULT_SNAPSHOT_RETENTION.maxAgeDays,
+    };
+  } catch {
+    return DEFAULT_SNAPSHOT_RETENTION;
+  }
+}
+
+// Stores the policy and applies it right away
+export async function saveSnapshotRetention(retention) {
+  try {
+    localStorage.setItem(RETENTION_KEY, JSON.stringify(retention));
+  } catch {
+    // Private mode or a full quota: the policy only lasts for this session
+  }
+  await pruneSnapshots(retention);
+}
+
+// FNV-1a over the serialized library; tells whether a save changed anything
+function libraryFingerprint(data) {
+  const text = JSON.stringify(data || []);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${text.length}:${(hash >>> 0).toString(16)}`;
+}
+
+function toSnapshot(record) {
+  const data = record.data || [];
+  return {
+    // Index keys can't be null, so libraries without a known account share ''
+    accountId: record.user?.id || '',
+    user: record.user || null,
+    data,
+    createdAt: record.createdAt || Date.now(),
+    label: '',
+    playlistCount: data.length,
+    trackCount: data.reduce((n, p) => n + (p?.tracks?.length || 0), 0),
+    fingerprint: libraryFingerprint(data),
+  };
+}
+
+function snapshotSummary(snapshot) {
+  const { id, accountId, user, createdAt, label, playlistCount, trackCount, fingerprint } = snapshot;
+  return { id, accountId, user, createdAt, label, playlistCount, trackCount, fingerprint };
+}
+
+// Every snapshot without its library, newest first: [{ id, accountId, user, createdAt, label, playlistCount, trackCount }]
+export async function listSnapshots() {
+  const stored = [];
+  await forEachRecord(SNAPSHOT_STORE, (value) => stored.push(value));
+  const summaries = await Promise.all(stored.map(async (value) => snapshotSummary(await decodeRecord(value))));
+  return summaries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// The label with the date, or just the date
+export function snapshotName(snapshot) {
+  const date = new Date(snapshot.createdAt).toLocaleString();
+  return snapshot.label ? `${snapshot.label} (${date})` : date;
+}
+
+async function addSnapshot(record) {
+  const snapshot = toSnapshot(record);
+  const latest = (await listSnapshots()).find((s) => s.accountId === snapshot.accountId);
+  if (latest?.fingerprint === snapshot.fingerprint) return latest.id;
+  const encoded = await encodeSnapshot(snapshot, isVaultEnabled());
+  const request = await withTransaction(SNAPSHOT_STORES, 'readwrite', (txn) => writeSnapshot(txn, encoded));
+  await pruneSnapshots(loadSnapshotRetention());
+  return request.result;
+}
+
+export async function pruneSnapshots({ maxCount, maxAgeDays } = loadSnapshotRetention()) {
+  const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : -Infinity;
+  const seen = new Map();
+  const expired = [];
+  for (const snapshot of await listSnapshots()) {
+    const rank = seen.get(snapshot.accountId) || 0;
+    seen.set(snapshot.accountId, rank + 1);
+    if (rank === 0 || snapshot.label) continue;
+    if (rank >= maxCount || snapshot.createdAt < cutoff) expired.push(snapshot.id);
+  }
+  if (expired.length) await deleteSnapshots(expired);
+}
+
+async function deleteSnapshots(ids) {
+  await withTransaction(SNAPSHOT_STORES, 'readwrite', (txn) => {
+    for (const id of ids) SNAPSHOT_STORES.forEach((store) => txn.objectStore(store).delete(id));
+  });
+}
+
+// The snapshot's library in the shape loadPlaylistsCache returns, plus its label; null when it is gone
+export async function loadSnapshot(id) {
+  const snapshot = await readSnapshot(id);
+  return snapshot ? { ...fromRecord(snapshot), label: snapshot.label || '' } : null;
+}
+
+// Makes a snapshot its account's current library again; the history itself is left as it is
+export async function restoreSnapshot(id) {
+  const snapshot = await readSnapshot(id);
+  if (!snapshot) throw new Error('That snapshot no longer exists.');
+  await writeCurrent({ data: snapshot.data, user: snapshot.user, createdAt: snapshot.createdAt });
+  return snapshotSummary(snapshot);
+}
+
+export async function labelSnapshot(id, label) {
+  const stored = await getRecord(id, SNAPSHOT_STORE);
+  if (!stored) return;
+  const snapshot = await decodeRecord(stored);
+  await putRecord(await encodeRecord({ ...snapshot, label: String(label || '').trim() }, SNAPSHOT_FIELDS, isSealed(stored.sealed)), SNAPSHOT_STORE);
+}
+
+export async function deleteSnapshot(id) {
+  await deleteSnapshots([id]);
+}
+
+// Migration tracker: track identity key -> { status, updatedAt }. Kept apart from the library record so
+// re-fetching or re-importing never touches it.
+
+const MIGRATION_KEY = 'migrationStatus';
+
+export async function loadMigrationStatuses() {
+  const record = await decodeRecord(await getRecord(MIGRATION_KEY));
+  return record?.statuses || {};
+}
+
+export async function saveMigrationStatuses(statuses) {
+  await putRecord(await encodeRecord({ key: MIGRATION_KEY, statuses, updatedAt: Date.now() }, MIGRATION_FIELDS, isVaultEnabled()));
+}
+
+// Re-stores everything in this database sealed (`sealed` true) or in the clear, in one transaction, so setting
+// or removing a passphrase either converts the whole cache or leaves it as it was. Needs the vault unlocked
+// whenever either side is sealed.
+export async function reencodeCache(sealed) {
+  const headers = [];
+  await forEachRecord(STORE_NAME, (value) => {
+    if (isPlaylistsKey(value.key)) headers.push(value);
+  });
+  const plans = [];
+  for (const stored of headers) {
+    const header = await decodeRecord(stored);
+    const playlists = await readPlaylistRecords(stored.accountId || '');
+    const data = await readLibrary(stored.accountId || '', playlists);
+    const plan = planLibrary({ data, user: header.user, createdAt: header.createdAt });
+    plans.push(await encodePlan(plan, sealed));
+  }
+  const snapshotIds = await getAllKeys(SNAPSHOT_STORE);
+  const snapshots = await Promise.all(snapshotIds.map(async (id) => encodeSnapshot(await readSnapshot(id), sealed)));
+  const migration = await decodeRecord(await getRecord(MIGRATION_KEY));
+  const migrationRecord = migration ? await encodeRecord({ key: MIGRATION_KEY, statuses: migration.statuses || {}, updatedAt: migration.updatedAt }, MIGRATION_FIELDS, sealed) : null;
+
+  await withTransaction([...LIBRARY_STORES, ...SNAPSHOT_STORES], 'readwrite', (txn) => {
+    for (const { key } of headers) txn.objectStore(STORE_NAME).delete(key);
+    txn.objectStore(STORE_NAME).delete(MIGRATION_KEY);
+    for (const store of [PLAYLIST_STORE, TRACK_STORE, ENTRY_STORE, ...SNAPSHOT_STORES]) txn.objectStore(store).clear();
+    for (const plan of plans) writePlan(txn, plan);
+    for (const snapshot of snapshots) writeSnapshot(txn, snapshot);
+    if (migrationRecord) txn.objectStore(STORE_NAME).put(migrationRecord);
+  });
+}
+
+// Deletes everything, migration progress included; for when the passphrase that sealed it is forgotten
+export async function eraseCache() {
+  await withTransaction([...LIBRARY_STORES, ...SNAPSHOT_STORES], 'readwrite', (txn) => {
+    for (const store of [...LIBRARY_STORES, ...SNAPSHOT_STORES]) txn.objectStore(store).clear();
+  });
+}
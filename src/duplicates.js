@@ -0,0 +1,66 @@
+// Duplicate detection over a normalized library, built on the clustering in trackIdentity.js
+
+import { isLikedPlaylist } from './normalize.js';
+import { clusterTracks, spotifyTrackUri } from './trackIdentity.js';
+
+function describeCluster(occurrences) {
+  const first = occurrences[0].track;
+  const uris = new Set(occurrences.map((o) => spotifyTrackUri(o.track)).filter(Boolean));
+  // "uri" when every occurrence is literally the same Spotify track, otherwise it matched on artist + title
+  const matchedBy = uris.size === 1 && occurrences.every((o) => spotifyTrackUri(o.track)) ? 'uri' : 'name';
+  return { title: first.title, artists: first.artists, uris: Array.from(uris), matchedBy };
+}
+
+// Returns { withinPlaylists, acrossPlaylists, duplicateTracks }:
+// - withinPlaylists: [{ playlistIndex, name, groups: [{ title, artists, matchedBy, positions }] }]
+// - acrossPlaylists: [{ id, title, artists, matchedBy, playlists: [{ playlistIndex, name, count }] }], most widespread first;
+//   `id` is the first occurrence's "playlistIndex:position", unique since each occurrence lands in one cluster
+// Occurrences in Liked Songs are left out unless `includeLiked` is set.
+export function findDuplicates(playlists, { includeLiked = false } = {}) {
+  const occurrences = [];
+  playlists.forEach((p, playlistIndex) => {
+    if (!includeLiked && isLikedPlaylist(p)) return;
+    p.tracks.forEach((track, position) => occurrences.push({ playlistIndex, position, track }));
+  });
+
+  const withinByPlaylist = new Map();
+  const acrossPlaylists = [];
+  let duplicateTracks = 0;
+
+  for (const group of clusterTracks(occurrences, (o) => o.track)) {
+    if (group.length < 2) continue;
+    const info = describeCluster(group);
+    const byPlaylist = new Map();
+    for (const o of group) {
+      if (!byPlaylist.has(o.playlistIndex)) byPlaylist.set(o.playlistIndex, []);
+      byPlaylist.get(o.playlistIndex).push(o);
+    }
+
+    for (const [playlistIndex, list] of byPlaylist) {
+      if (list.length < 2) continue;
+      duplicateTracks += list.length - 1;
+      if (!withinByPlaylist.has(playlistIndex)) {
+        withinByPlaylist.set(playlistIndex, { playlistIndex, name: playlists[playlistIndex].name, groups: [] });
+      }
+      withinByPlaylist.get(playlistIndex).groups.push({ ...info, positions: list.map((o) => o.position) });
+    }
+
+    if (byPlaylist.size > 1) {
+      acrossPlaylists.push({
+        id: `${group[0].playlistIndex}:${group[0].position}`,
+        ...info,
+        occurrences: group.length,
+        playlists: Array.from(byPlaylist, ([playlistIndex, list]) => ({
+          playlistIndex,
+          name: playlists[playlistIndex].name,
+          count: list.length,
+        })),
+      });
+    }
+  }
+
+  acrossPlaylists.sort((a, b) => b.playlists.length - a.playlists.length || b.occurrences - a.occurrences);
+  const withinPlaylists = Array.from(withinByPlaylist.values())
+    .sort((a, b) => b.groups.length - a.groups.length);
+  return { withinPlaylists, acrossPlaylists, duplicateTracks };
+}
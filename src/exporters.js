@@ -0,0 +1,129 @@
+// Serializers for handing playlists to other tools: Exportify-compatible CSV, extended M3U and XSPF.
+// All of them take normalized tracks ({ title, artists, album, addedAt, uri, durationMs }).
+
+import { strToU8, zipSync } from 'fflate';
+
+// Same header names Exportify writes, so importers that understand Exportify files accept ours
+const CSV_COLUMNS = [
+  ['Track URI', (t) => t.uri || ''],
+  ['Track Name', (t) => t.title || ''],
+  ['Artist Name(s)', (t) => (t.artists || []).join(',')],
+  ['Album Name', (t) => t.album || ''],
+  ['Track Duration (ms)', (t) => (t.durationMs ? String(t.durationMs) : '')],
+  ['Added At', (t) => t.addedAt || ''],
+];
+
+function csvField(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// `columns` is [[header, (row) => value]]
+export function toCsvTable(columns, rows) {
+  const lines = [columns.map(([header]) => header)];
+  for (const row of rows) lines.push(columns.map(([, get]) => get(row)));
+  return lines.map((line) => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+export function toCsv(tracks) {
+  return toCsvTable(CSV_COLUMNS, tracks);
+}
+
+export function spotifyTrackUrl(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith('spotify:track:')) return null;
+  const id = uri.split(':').pop();
+  return id ? `https://open.spotify.com/track/${id}` : null;
+}
+
+function displayLine(t) {
+  const artists = (t.artists || []).join(', ');
+  return artists ? `${artists} - ${t.title || ''}` : (t.title || '');
+}
+
+// M3U lines must not contain line breaks
+function oneLine(s) {
+  return String(s ?? '').replace(/[\r\n]+/g, ' ');
+}
+
+export function toM3u(name, tracks) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${oneLine(name)}`];
+  for (const t of tracks) {
+    const seconds = t.durationMs ? Math.round(t.durationMs / 1000) : -1;
+    lines.push(`#EXTINF:${seconds},${oneLine(displayLine(t))}`);
+    if (t.album) lines.push(`#EXTALB:${oneLine(t.album)}`);
+    lines.push(oneLine(spotifyTrackUrl(t.uri) || t.uri || displayLine(t)));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function xml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+export function toXspf(name, tracks) {
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${xml(name)}</title>`,
+    '  <trackList>',
+  ];
+  for (const t of tracks) {
+    out.push('    <track>');
+    const url = spotifyTrackUrl(t.uri);
+    if (url) out.push(`      <location>${xml(url)}</location>`);
+    if (t.uri) out.push(`      <identifier>${xml(t.uri)}</identifier>`);
+    out.push(`      <title>${xml(t.title)}</title>`);
+    if (t.artists?.length) out.push(`      <creator>${xml(t.artists.join(', '))}</creator>`);
+    if (t.album) out.push(`      <album>${xml(t.album)}</album>`);
+    if (t.durationMs) out.push(`      <duration>${Math.round(t.durationMs)}</duration>`);
+    out.push('    </track>');
+  }
+  out.push('  </trackList>', '</playlist>');
+  return out.join('\n') + '\n';
+}
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV (Exportify)', extension: 'csv', mime: 'text/csv', serialize: (name, tracks) => toCsv(tracks) },
+  m3u: { label: 'M3U', extension: 'm3u8', mime: 'audio/x-mpegurl', serialize: toM3u },
+  xspf: { label: 'XSPF', extension: 'xspf', mime: 'application/xspf+xml', serialize: toXspf },
+};
+
+export function safeFileName(name, fallback = 'playlist') {
+  const cleaned = String(name || '')
+    .replace(/⭐/g, '')
+    .replace(/[\\/:*?"<>|]+/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 120);
+  return cleaned || fallback;
+}
+
+export function exportPlaylist(playlist, tracks, format) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+  return {
+    fileName: `${safeFileName(playlist?.name)}.${spec.extension}`,
+    blob: new Blob([spec.serialize(playlist?.name || 'Playlist', tracks)], { type: `${spec.mime};charset=utf-8` }),
+  };
+}
+
+// One file per playlist inside a ZIP; duplicate playlist names get a numeric suffix
+export function exportPlaylistsZip(playlists, format) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+  const files = {};
+  const used = new Map();
+  for (const p of playlists) {
+    const base = safeFileName(p.name);
+    const count = used.get(base.toLowerCase()) || 0;
+    used.set(base.toLowerCase(), count + 1);
+    const fileName = `${count ? `${base} (${count + 1})` : base}.${spec.extension}`;
+    files[fileName] = strToU8(spec.serialize(p.name || 'Playlist', p.tracks));
+  }
+  return new Blob([zipSync(files)], { type: 'application/zip' });
+}
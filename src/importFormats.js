@@ -0,0 +1,11 @@
+// File extensions each importer reads, by importer id. Kept out of importers.js, which pulls in the ZIP library,
+// so the file picker can list them without loading it on the main thread.
+
+export const IMPORT_EXTENSIONS = {
+  json: ['json'],
+  csv: ['csv'],
+  m3u: ['m3u', 'm3u8'],
+  xspf: ['xspf'],
+};
+
+export const ACCEPTED_EXTENSIONS = ['zip', ...Object.values(IMPORT_EXTENSIONS).flat()];
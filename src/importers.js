@@ -0,0 +1,184 @@
+// Imports one or more dropped files (or ZIP archives of them) into a single normalized library.
+// Every file is reported as either recognized (with what it contributed) or skipped (with a reason).
+
+import { strFromU8, unzipSync } from 'fflate';
+import { buildLibrary, detectSchema, mergeLibraries, normalizeData } from './normalize.js';
+import { isXspf, parseM3u, parsePlaylistCsv, parseXspf } from './playlistFiles.js';
+import { isStreamingHistory, mergePlays, parseStreamingHistory } from './streamingHistory.js';
+import { IMPORT_EXTENSIONS } from './importFormats.js';
+
+const SCHEMA_LABELS = {
+  spotifyPlaylistExport: 'Spotify export: playlists',
+  spotifyLibraryExport: 'Spotify export: library',
+  objectWithPlaylists: 'Playlists JSON',
+  objectWithItems: 'Track list JSON',
+  arrayRoot: 'JSON array',
+};
+
+function extensionOf(name) {
+  const match = /\.([a-z0-9]+)$/i.exec(name || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+function baseName(path) {
+  return (path || '').split('/').pop();
+}
+
+const jsonImporter = {
+  id: 'json',
+  extensions: IMPORT_EXTENSIONS.json,
+  parse(text, name) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      return { skipped: `Invalid JSON: ${e?.message || e}` };
+    }
+    if (isStreamingHistory(json)) {
+      const history = parseStreamingHistory(json);
+      // Podcast-only history files have entries but no music plays
+      if (!history.length) return { skipped: 'No music plays in this streaming history' };
+      return { kind: 'Streaming history', history };
+    }
+    const schema = detectSchema(json);
+    if (schema.type === 'unknown') {
+      return { skipped: Array.isArray(json) ? 'Not a list of tracks or playlists' : 'Not a playlist or library file' };
+    }
+    return {
+      kind: SCHEMA_LABELS[schema.type] || schema.type,
+      library: normalizeData(json, { type: 'file', name }),
+    };
+  },
+};
+
+// One playlist per file; an empty result is reported as skipped rather than loaded as an empty playlist
+function playlistFileImporter(id, extensions, kind, parse) {
+  return {
+    id,
+    extensions,
+    parse(text, name) {
+      const playlist = parse(text, name);
+      if (!playlist) return { skipped: `Not a recognized ${kind} playlist` };
+      if (!playlist.tracks.length) return { skipped: 'No tracks found' };
+      return { kind, library: buildLibrary([{ ...playlist, source: { type: 'file', name } }]) };
+    },
+  };
+}
+
+// Later importers only need an entry here and their extensions in importFormats.js; ZIP expansion and reporting
+// pick them up automatically
+const IMPORTERS = [
+  jsonImporter,
+  playlistFileImporter('csv', IMPORT_EXTENSIONS.csv, 'CSV', parsePlaylistCsv),
+  playlistFileImporter('m3u', IMPORT_EXTENSIONS.m3u, 'M3U', parseM3u),
+  playlistFileImporter('xspf', IMPORT_EXTENSIONS.xspf, 'XSPF', (text, name) => (isXspf(text) ? parseXspf(text, name) : null)),
+];
+
+function importerFor(name) {
+  const ext = extensionOf(name);
+  return IMPORTERS.find((i) => i.extensions.includes(ext)) || null;
+}
+
+// Streams the file so multi-hundred-megabyte exports can report progress; `onBytes` fires about once per percent
+async function readFileText(file, onBytes) {
+  if (typeof file.stream !== 'function') return file.text();
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder();
+  const step = Math.max(1, Math.floor(file.size / 100));
+  let text = '';
+  let loaded = 0;
+  let reported = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    loaded += value.byteLength;
+    text += decoder.decode(value, { stream: true });
+    if (loaded - reported >= step) {
+      reported = loaded;
+      onBytes(loaded);
+    }
+  }
+  return text + decoder.decode();
+}
+
+// Flattens the input into named text entries ({ name, displayName, size, read(onBytes) }), expanding ZIP archives
+async function expandFiles(files, skipped) {
+  const entries = [];
+  for (const file of files) {
+    if (extensionOf(file.name) === 'zip') {
+      let archive;
+      try {
+        archive = unzipSync(new Uint8Array(await file.arrayBuffer()), {
+          filter: (f) => !f.name.endsWith('/'),
+        });
+      } catch (e) {
+        skipped.push({ file: file.name, reason: `Could not read ZIP: ${e?.message || e}` });
+        continue;
+      }
+      for (const [path, bytes] of Object.entries(archive)) {
+        const name = `${file.name}/${path}`;
+        if (baseName(path).startsWith('.') || path.startsWith('__MACOSX/')) continue;
+        if (!importerFor(path)) {
+          skipped.push({ file: name, reason: 'Unsupported file type' });
+          continue;
+        }
+        entries.push({ name, displayName: baseName(path), size: bytes.byteLength, read: async () => strFromU8(bytes) });
+      }
+      continue;
+    }
+    if (!importerFor(file.name)) {
+      skipped.push({ file: file.name, reason: 'Unsupported file type' });
+      continue;
+    }
+    entries.push({ name: file.name, displayName: file.name, size: file.size, read: (onBytes) => readFileText(file, onBytes) });
+  }
+  return entries;
+}
+
+// Resolves to { library, history, recognized: [{ file, kind, playlists, tracks, plays }], skipped: [{ file, reason }] }.
+// `library` is null when no playlists were imported, `history` is null when no streaming history was.
+// `onProgress` receives { phase: 'reading' | 'parsing' | 'merging', file, index, count, loaded, total }.
+export async function importFiles(files, { onProgress = () => {} } = {}) {
+  const recognized = [];
+  const skipped = [];
+  const libraries = [];
+  const histories = [];
+  const entries = await expandFiles(Array.from(files || []), skipped);
+
+  for (const [index, entry] of entries.entries()) {
+    const report = (phase, loaded) => onProgress({ phase, file: entry.name, index, count: entries.length, loaded, total: entry.size });
+    let result;
+    try {
+      report('reading', 0);
+      const text = await entry.read((loaded) => report('reading', loaded));
+      report('parsing', entry.size);
+      result = importerFor(entry.name).parse(text, entry.displayName);
+    } catch (e) {
+      result = { skipped: `Failed to read file: ${e?.message || e}` };
+    }
+    if (result.skipped) {
+      skipped.push({ file: entry.name, reason: result.skipped });
+      continue;
+    }
+    if (result.history) {
+      histories.push(result.history);
+      recognized.push({ file: entry.name, kind: result.kind, playlists: 0, tracks: 0, plays: result.history.length });
+      continue;
+    }
+    libraries.push(result.library);
+    recognized.push({
+      file: entry.name,
+      kind: result.kind,
+      playlists: result.library.playlists.length,
+      tracks: result.library.allTracks.length,
+    });
+  }
+
+  if (libraries.length > 1) onProgress({ phase: 'merging', file: null, index: entries.length, count: entries.length, loaded: 0, total: 0 });
+  return {
+    library: libraries.length ? mergeLibraries(libraries) : null,
+    history: histories.length ? mergePlays(...histories) : null,
+    recognized,
+    skipped,
+  };
+}
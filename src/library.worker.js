@@ -0,0 +1,14 @@
+// Worker entry point. Messages in: { id, type, payload }. Messages out: { id, progress } while a task runs,
+// then exactly one of { id, result } or { id, error }.
+
+import { runLibraryTask } from './libraryTasks.js';
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data || {};
+  try {
+    const result = await runLibraryTask(type, payload, (progress) => self.postMessage({ id, progress }));
+    self.postMessage({ id, result });
+  } catch (e) {
+    self.postMessage({ id, error: String(e?.message || e) });
+  }
+};
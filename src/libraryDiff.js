@@ -0,0 +1,164 @@
+// What changed between two libraries: an older export, cache or snapshot ("before") and a newer one ("after").
+// Playlists are paired by Spotify id, then by name, and finally by shared tracks, which catches renames in
+// files without ids. Tracks match the way duplicates do: by URI, or by normalized artist + title.
+
+import { isLikedPlaylist } from './normalize.js';
+import { clusterTracks, normalizeText, trackMatchKeys } from './trackIdentity.js';
+import { toCsvTable } from './exporters.js';
+
+// A playlist without an id only counts as renamed when most of its tracks are still in the renamed one
+const RENAME_MIN_OVERLAP = 0.5;
+
+function playlistId(p) {
+  const id = p?.raw?.id;
+  return typeof id === 'string' && id ? id : null;
+}
+
+// Liked Songs is called "liked songs ⭐" when fetched and "Liked Songs" in exports
+function playlistNameKey(p) {
+  return isLikedPlaylist(p) ? '\u0000liked' : normalizeText(p.name);
+}
+
+// Results cross the worker boundary and get exported, so tracks lose their `raw` payload
+function slimTrack(t) {
+  return { title: t.title, artists: t.artists, album: t.album, addedAt: t.addedAt, uri: t.uri, durationMs: t.durationMs };
+}
+
+// Share of the larger playlist's tracks that also appear in the other one
+function trackOverlap(a, b) {
+  if (!a.tracks.length || !b.tracks.length) return 0;
+  const keys = new Set(b.tracks.flatMap(trackMatchKeys));
+  const shared = a.tracks.filter((t) => trackMatchKeys(t).some((k) => keys.has(k))).length;
+  return shared / Math.max(a.tracks.length, b.tracks.length);
+}
+
+// Returns [[before, after]] pairs plus the playlists left on either side
+function pairPlaylists(before, after) {
+  const pairs = [];
+  let left = [...before];
+  let right = [...after];
+  const take = (match) => {
+    const rest = [];
+    for (const b of left) {
+      const index = right.findIndex((a) => match(b, a));
+      if (index === -1) rest.push(b);
+      else pairs.push([b, right.splice(index, 1)[0]]);
+    }
+    left = rest;
+  };
+  take((b, a) => playlistId(b) !== null && playlistId(b) === playlistId(a));
+  take((b, a) => playlistNameKey(b) === playlistNameKey(a));
+
+  const candidates = [];
+  for (const b of left) {
+    for (const a of right) {
+      const overlap = trackOverlap(b, a);
+      if (overlap >= RENAME_MIN_OVERLAP) candidates.push({ b, a, overlap });
+    }
+  }
+  candidates.sort((x, y) => y.overlap - x.overlap);
+  for (const { b, a } of candidates) {
+    if (!left.includes(b) || !right.includes(a)) continue;
+    pairs.push([b, a]);
+    left = left.filter((p) => p !== b);
+    right = right.filter((p) => p !== a);
+  }
+  return { pairs, removed: left, added: right };
+}
+
+// Multiset difference: a song that was in the playlist twice and is now once counts as one removal
+function diffTracks(before, after) {
+  const items = [
+    ...before.map((track, position) => ({ side: 'before', track, position })),
+    ...after.map((track, position) => ({ side: 'after', track, position })),
+  ];
+  const added = [];
+  const removed = [];
+  for (const group of clusterTracks(items, (i) => i.track)) {
+    const was = group.filter((i) => i.side === 'before');
+    const is = group.filter((i) => i.side === 'after');
+    if (is.length > was.length) added.push(...is.slice(was.length));
+    else if (was.length > is.length) removed.push(...was.slice(is.length));
+  }
+  const byPosition = (x, y) => x.position - y.position;
+  const out = (list) => list.sort(byPosition).map(({ track, position }) => ({ track: slimTrack(track), position }));
+  return { added: out(added), removed: out(removed) };
+}
+
+// Songs present on one side of the whole library only, with the playlists they were in
+function libraryOnlyOn(side, items) {
+  const result = [];
+  for (const group of clusterTracks(items, (i) => i.track)) {
+    if (group.some((i) => i.side !== side)) continue;
+    result.push({ track: slimTrack(group[0].track), playlists: Array.from(new Set(group.map((i) => i.playlist))) });
+  }
+  return result;
+}
+
+// Takes two lists of normalized playlists. Returns
+// { playlistsAdded, playlistsRemoved: [{ name, trackCount }], playlistsRenamed: [{ from, to }],
+//   changed: [{ name, previousName, added, removed: [{ track, position }] }], unchanged,
+//   vanished, appeared: [{ track, playlists: [name] }], totals: { tracksAdded, tracksRemoved } }
+// `vanished` are songs no playlist contains any more, such as tracks that became unavailable or were deleted.
+export function diffLibraries(before, after) {
+  const { pairs, removed, added } = pairPlaylists(before, after);
+  const changed = [];
+  const playlistsRenamed = [];
+  let unchanged = 0;
+  for (const [b, a] of pairs) {
+    const renamed = b.name !== a.name && !(isLikedPlaylist(b) && isLikedPlaylist(a));
+    if (renamed) playlistsRenamed.push({ from: b.name, to: a.name });
+    const tracks = diffTracks(b.tracks, a.tracks);
+    if (tracks.added.length || tracks.removed.length) {
+      changed.push({ name: a.name, previousName: renamed ? b.name : null, ...tracks });
+    } else if (!renamed) {
+      unchanged += 1;
+    }
+  }
+  changed.sort((x, y) => (y.added.length + y.removed.length) - (x.added.length + x.removed.length));
+
+  const items = [
+    ...before.flatMap((p) => p.tracks.map((track) => ({ side: 'before', track, playlist: p.name }))),
+    ...after.flatMap((p) => p.tracks.map((track) => ({ side: 'after', track, playlist: p.name }))),
+  ];
+  const summary = (p) => ({ name: p.name, trackCount: p.tracks.length });
+  return {
+    playlistsAdded: added.map(summary),
+    playlistsRemoved: removed.map(summary),
+    playlistsRenamed,
+    changed,
+    unchanged,
+    vanished: libraryOnlyOn('before', items),
+    appeared: libraryOnlyOn('after', items),
+    totals: {
+      tracksAdded: changed.reduce((n, c) => n + c.added.length, 0),
+      tracksRemoved: changed.reduce((n, c) => n + c.removed.length, 0),
+    },
+  };
+}
+
+const DIFF_CSV_COLUMNS = [
+  ['Change', (r) => r.change],
+  ['Playlist', (r) => r.playlist],
+  ['Previous Playlist Name', (r) => r.previousName || ''],
+  ['Track URI', (r) => r.track?.uri || ''],
+  ['Track Name', (r) => r.track?.title || ''],
+  ['Artist Name(s)', (r) => (r.track?.artists || []).join(',')],
+  ['Album Name', (r) => r.track?.album || ''],
+  ['Added At', (r) => r.track?.addedAt || ''],
+];
+
+// One row per change; whole-playlist changes have no track columns, vanished songs list every playlist they were in
+export function diffToCsv(diff) {
+  const rows = [
+    ...diff.playlistsAdded.map((p) => ({ change: 'playlist added', playlist: p.name })),
+    ...diff.playlistsRemoved.map((p) => ({ change: 'playlist removed', playlist: p.name })),
+    ...diff.playlistsRenamed.map((p) => ({ change: 'playlist renamed', playlist: p.to, previousName: p.from })),
+    ...diff.changed.flatMap((c) => [
+      ...c.added.map(({ track }) => ({ change: 'track added', playlist: c.name, previousName: c.previousName, track })),
+      ...c.removed.map(({ track }) => ({ change: 'track removed', playlist: c.name, previousName: c.previousName, track })),
+    ]),
+    ...diff.vanished.map(({ track, playlists }) => ({ change: 'vanished from library', playlist: playlists.join('; '), track })),
+  ];
+  return toCsvTable(DIFF_CSV_COLUMNS, rows);
+}
@@ -0,0 +1,46 @@
+// Sidebar statistics over the playlists the current user owns (Liked Songs and virtual playlists always count).
+// Runs in the library worker; the result is small enough to post back on every change of library or user.
+
+import { isLikedPlaylist } from './normalize.js';
+
+const TOP_ARTISTS = 15;
+
+// Playlists whose source names a Spotify account (source.accountId) are judged against that account,
+// so a combined view of several accounts still tells each one's own playlists from followed ones
+export function isOwnedPlaylist(p, user = {}) {
+  const userId = p?.source?.accountId || user.userId || null;
+  const userName = p?.source?.accountId ? p.source.accountName || null : user.userName || null;
+  const ownerId = p?.raw?.owner?.id || null;
+  const ownerName = p?.raw?.owner?.display_name || null;
+  const ownerField = p?.owner || null;
+  const isVirtual = p?.raw?.type === 'virtual';
+  return isLikedPlaylist(p) || isVirtual || !userId || (
+    ownerId === userId ||
+    ownerField === userId ||
+    (userName ? (ownerName === userName || ownerField === userName) : false)
+  );
+}
+
+// { playlistCount, trackCount, artistCount, topArtists: [[artist, count]], addedPerYear: [[year, count]] }
+export function computeLibraryStats(playlists, user = {}) {
+  const owned = playlists.filter((p) => isOwnedPlaylist(p, user));
+  const artistCounts = new Map();
+  const years = new Map();
+  let trackCount = 0;
+  for (const p of owned) {
+    for (const t of p.tracks) {
+      trackCount += 1;
+      for (const a of t.artists) artistCounts.set(a, (artistCounts.get(a) || 0) + 1);
+      const date = t.addedAt ? new Date(t.addedAt) : null;
+      const year = Number.isFinite(date?.getFullYear?.()) ? date.getFullYear() : null;
+      if (year) years.set(year, (years.get(year) || 0) + 1);
+    }
+  }
+  return {
+    playlistCount: owned.length,
+    trackCount,
+    artistCount: artistCounts.size,
+    topArtists: Array.from(artistCounts.entries()).sort((a, b) => b[1] - a[1]).slice(0, TOP_ARTISTS),
+    addedPerYear: Array.from(years.entries()).sort((a, b) => a[0] - b[0]),
+  };
+}
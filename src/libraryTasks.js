@@ -0,0 +1,28 @@
+// The CPU-heavy library operations, by name. They run inside the library worker (see libraryWorker.js),
+// or on the main thread when workers are unavailable. Inputs and results must survive structured cloning.
+
+import { importFiles } from './importers.js';
+import { computeLibraryStats } from './libraryStats.js';
+import { diffLibraries } from './libraryDiff.js';
+import { mergeLibraries, normalizeData } from './normalize.js';
+
+const TASKS = {
+  // { files: File[] } -> importFiles() result, with progress
+  import: ({ files }, onProgress) => importFiles(files, { onProgress }),
+  // { data, source } -> normalized library (including the search index)
+  normalize: ({ data, source }) => normalizeData(data, source),
+  // { libraries } -> one normalized library
+  merge: ({ libraries }) => mergeLibraries(libraries),
+  // { playlists, user: { userId, userName } } -> sidebar stats
+  stats: ({ playlists, user }) => computeLibraryStats(playlists, user),
+  // { before, after } (playlist lists) -> diffLibraries() result
+  diff: ({ before, after }) => diffLibraries(before, after),
+  // { value } -> pretty-printed JSON for the raw view
+  stringify: ({ value }) => JSON.stringify(value, null, 2) ?? '',
+};
+
+export async function runLibraryTask(type, payload, onProgress = () => {}) {
+  const task = TASKS[type];
+  if (!task) throw new Error(`Unknown library task: ${type}`);
+  return task(payload, onProgress);
+}
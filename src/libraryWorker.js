@@ -0,0 +1,65 @@
+// Main-thread side of the library worker: one shared worker, requests matched to responses by id.
+// If the worker can't be started (old browser, blocked by CSP) tasks run inline instead, so callers never need to care.
+
+let worker = null;
+let workerBroken = false;
+let nextId = 1;
+const pending = new Map();
+
+function rejectAll(error) {
+  for (const { reject } of pending.values()) reject(error);
+  pending.clear();
+}
+
+function getWorker() {
+  if (worker || workerBroken) return worker;
+  try {
+    worker = new Worker(new URL('./library.worker.js', import.meta.url), { type: 'module' });
+  } catch {
+    workerBroken = true;
+    return null;
+  }
+  worker.onmessage = (event) => {
+    const { id, progress, result, error } = event.data || {};
+    const request = pending.get(id);
+    if (!request) return;
+    if (progress !== undefined) {
+      request.onProgress?.(progress);
+      return;
+    }
+    pending.delete(id);
+    if (error !== undefined) request.reject(new Error(error));
+    else request.resolve(result);
+  };
+  // A failed script load or an uncaught error leaves the worker unusable; later tasks run inline
+  worker.onerror = (event) => {
+    event.preventDefault?.();
+    worker.terminate();
+    worker = null;
+    workerBroken = true;
+    rejectAll(new Error(`Library worker failed: ${event.message || 'unknown error'}`));
+  };
+  return worker;
+}
+
+async function runInline(type, payload, onProgress) {
+  const { runLibraryTask } = await import('./libraryTasks.js');
+  return runLibraryTask(type, payload, onProgress);
+}
+
+// Runs a task from libraryTasks.js off the main thread. `onProgress` receives the task's progress events.
+export function runInWorker(type, payload, { onProgress } = {}) {
+  const w = typeof Worker === 'undefined' ? null : getWorker();
+  if (!w) return runInline(type, payload, onProgress);
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject, onProgress });
+    try {
+      w.postMessage({ id, type, payload });
+    } catch {
+      // DataCloneError: the payload can't cross to the worker, so do the work here
+      pending.delete(id);
+      runInline(type, payload, onProgress).then(resolve, reject);
+    }
+  });
+}
@@ -0,0 +1,60 @@
+// Migration tracker: a per-track status for moving the library to another service.
+// Statuses are stored by track identity (see trackIdentity.js) under both the URI and the artist+title key,
+// so a track marked from an API fetch is still recognised in an export file without URIs, and vice versa.
+
+import { trackMatchKeys } from './trackIdentity.js';
+
+export const MIGRATION_STATUSES = [
+  { value: 'todo', label: 'Not started' },
+  { value: 'migrated', label: 'Migrated' },
+  { value: 'not_found', label: 'Not found' },
+  { value: 'skipped', label: 'Skipped' },
+];
+
+export const MIGRATION_STATUS_ORDER = Object.fromEntries(MIGRATION_STATUSES.map((s, i) => [s.value, i]));
+
+// Computing name keys means normalizing text, so they are memoized per track object
+const keyCache = new WeakMap();
+
+function statusKeys(track) {
+  let keys = keyCache.get(track);
+  if (!keys) {
+    keys = trackMatchKeys(track);
+    keyCache.set(track, keys);
+  }
+  return keys;
+}
+
+// `statuses` is the stored map: identity key -> { status, updatedAt }
+export function trackStatus(statuses, track) {
+  for (const key of statusKeys(track)) {
+    const entry = statuses[key];
+    if (entry) return entry.status;
+  }
+  return 'todo';
+}
+
+// Returns a new map with `tracks` set to `status`; 'todo' removes the entries
+export function withTrackStatus(statuses, tracks, status) {
+  const next = { ...statuses };
+  const updatedAt = Date.now();
+  for (const track of tracks) {
+    for (const key of statusKeys(track)) {
+      if (status === 'todo') delete next[key];
+      else next[key] = { status, updatedAt };
+    }
+  }
+  return next;
+}
+
+// { total, done, migrated, not_found, skipped } where done is anything but 'todo'
+export function playlistMigrationProgress(playlist, statuses) {
+  const progress = { total: playlist.tracks.length, done: 0, migrated: 0, not_found: 0, skipped: 0 };
+  for (const track of playlist.tracks) {
+    const status = trackStatus(statuses, track);
+    if (status === 'todo') continue;
+    progress.done += 1;
+    progress[status] += 1;
+  }
+  return progress;
+}
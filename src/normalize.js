@@ -0,0 +1,174 @@
+// Turns any supported input (API fetch, cache, JSON dumps, Spotify exports) into the normalized library model:
+// { playlists: [{ name, owner, tracks, raw, source }], allTracks, artistCounts, library, sources, trackIndex }
+
+import { trackMatchKeys } from './trackIdentity.js';
+import { isSpotifyLibraryExport, isSpotifyPlaylistExport, parseSpotifyLibraryExport, parseSpotifyPlaylistExport } from './spotifyExport.js';
+
+function isPlaylistLike(entry) {
+  return Array.isArray(entry?.items) || Array.isArray(entry?.tracks);
+}
+
+// A track object, or a playlist item wrapping one under `track`: a Spotify URI, or a name with an artist
+function isTrackLike(entry) {
+  const track = entry?.track || entry;
+  if (!track || typeof track !== 'object') return false;
+  if (typeof track.uri === 'string') return true;
+  return !!(track.name || track.title) && !!(track.artists || track.artist);
+}
+
+export function detectSchema(data) {
+  // Heuristic: accept objects with playlists, or arrays of playlists/tracks.
+  // Other arrays (search queries, Marquee and the like in a data export) are not libraries.
+  if (Array.isArray(data)) {
+    const sample = data.slice(0, 5);
+    const isLibrary = sample.length > 0 && (sample.every(isPlaylistLike) || sample.every(isTrackLike));
+    return { type: isLibrary ? 'arrayRoot' : 'unknown' };
+  }
+  if (isSpotifyPlaylistExport(data)) return { type: 'spotifyPlaylistExport' };
+  if (isSpotifyLibraryExport(data)) return { type: 'spotifyLibraryExport' };
+  if (data && typeof data === 'object') {
+    if (Array.isArray(data.playlists)) return { type: 'objectWithPlaylists' };
+    if (Array.isArray(data.items)) return { type: 'objectWithItems' };
+  }
+  return { type: 'unknown' };
+}
+
+export function ensureTrack(t) {
+  // Attempt to normalize common Spotify dump fields
+  const track = t.track || t;
+  const rawArtists = track?.artists || track?.artist || [];
+  const album = track?.album || t.album || null;
+  const title = track?.name || track?.title || t.title || t.name || 'Unknown';
+  const addedAt = t.added_at || t.addedAt || track?.added_at || null;
+  const uri = track?.uri || t.uri || null;
+  const durationMs = track?.duration_ms || t.duration_ms || t.durationMs || null;
+  const artists = Array.isArray(rawArtists)
+    ? rawArtists.map((a) => (typeof a === 'string' ? a : a?.name)).filter(Boolean)
+    : [typeof rawArtists === 'string' ? rawArtists : rawArtists?.name].filter(Boolean);
+  return {
+    title,
+    artists,
+    album: typeof album === 'string' ? album : album?.name ?? null,
+    addedAt,
+    uri,
+    durationMs,
+    raw: t,
+  };
+}
+
+function ensurePlaylist(p) {
+  const name = p.name || p.title || 'Untitled playlist';
+  const owner = p.owner || p.user || null;
+  const items = p.items || p.tracks || p.contents || [];
+  const tracks = (Array.isArray(items) ? items : []).map(ensureTrack);
+  return { name, owner, tracks, raw: p };
+}
+
+// The virtual liked-songs playlist from the API or an export, or anything named like it
+export function isLikedPlaylist(p) {
+  const nameSanitized = (p?.name || '').replace(/⭐/g, '').trim();
+  return (p?.raw?.type === 'virtual' && p?.raw?.source === 'liked_songs') || /^liked\s*songs$/i.test(nameSanitized);
+}
+
+// Reverse index: "uri:<uri>" / "name:<artist|title>" -> [{ playlistIndex, position }]
+function buildTrackIndex(playlists) {
+  const index = new Map();
+  playlists.forEach((p, playlistIndex) => {
+    p.tracks.forEach((track, position) => {
+      for (const key of trackMatchKeys(track)) {
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push({ playlistIndex, position });
+      }
+    });
+  });
+  return index;
+}
+
+// Every playlist containing `track` (by URI, or by normalized artist+title), with the added date of each copy:
+// [{ playlistIndex, name, entries: [{ position, addedAt, matchedBy }] }]
+export function findTrackAppearances(normalized, track) {
+  if (!normalized?.trackIndex || !track) return [];
+  const byPlaylist = new Map();
+  const seen = new Set();
+  for (const key of trackMatchKeys(track)) {
+    const matchedBy = key.startsWith('uri:') ? 'uri' : 'name';
+    for (const { playlistIndex, position } of normalized.trackIndex.get(key) || []) {
+      const id = `${playlistIndex}:${position}`;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      const playlist = normalized.playlists[playlistIndex];
+      if (!byPlaylist.has(playlistIndex)) byPlaylist.set(playlistIndex, { playlistIndex, name: playlist.name, entries: [] });
+      byPlaylist.get(playlistIndex).entries.push({ position, addedAt: playlist.tracks[position]?.addedAt || null, matchedBy });
+    }
+  }
+  for (const p of byPlaylist.values()) p.entries.sort((a, b) => a.position - b.position);
+  return Array.from(byPlaylist.values()).sort((a, b) => a.playlistIndex - b.playlistIndex);
+}
+
+// Recomputes the derived fields from a list of normalized playlists
+export function buildLibrary(playlists, library = null) {
+  const allTracks = playlists.flatMap((p) => p.tracks);
+  const artists = new Map();
+  for (const t of allTracks) {
+    for (const a of t.artists) {
+      artists.set(a, (artists.get(a) || 0) + 1);
+    }
+  }
+  const sources = [];
+  const seen = new Set();
+  for (const p of playlists) {
+    const key = p.source ? `${p.source.type}:${p.source.name}` : null;
+    if (key && !seen.has(key)) {
+      seen.add(key);
+      sources.push(p.source);
+    }
+  }
+  return { playlists, allTracks, artistCounts: artists, library, sources, trackIndex: buildTrackIndex(playlists) };
+}
+
+// `source` ({ type: 'file' | 'cache' | 'api', name }) is stamped on every playlist so merged libraries stay traceable.
+// Sources read from a Spotify account also carry `accountId` and `accountName`.
+export function normalizeData(data, source = null) {
+  const schema = detectSchema(data);
+  let playlists = [];
+  let library = null;
+
+  if (schema.type === 'spotifyPlaylistExport') {
+    playlists = parseSpotifyPlaylistExport(data);
+  } else if (schema.type === 'spotifyLibraryExport') {
+    const parsed = parseSpotifyLibraryExport(data);
+    playlists = parsed.playlists;
+    library = { savedAlbums: parsed.savedAlbums, followedArtists: parsed.followedArtists };
+  } else if (schema.type === 'objectWithPlaylists') {
+    playlists = (data.playlists || []).map(ensurePlaylist);
+  } else if (schema.type === 'objectWithItems') {
+    playlists = [{ name: 'All Items', owner: null, tracks: (data.items || []).map(ensureTrack), raw: data }];
+  } else if (schema.type === 'arrayRoot') {
+    // Guess whether array is playlists or tracks
+    if (data.length && (data[0].items || data[0].tracks)) {
+      playlists = data.map(ensurePlaylist);
+    } else {
+      playlists = [{ name: 'All Items', owner: null, tracks: data.map(ensureTrack), raw: data }];
+    }
+  } else {
+    // Fallback: single bucket
+    playlists = [{ name: 'Data', owner: null, tracks: [], raw: data }];
+  }
+
+  if (source) playlists = playlists.map((p) => ({ ...p, source }));
+  return buildLibrary(playlists, library);
+}
+
+// Concatenates several normalized libraries into one; playlists keep their own `source`
+export function mergeLibraries(libraries) {
+  const list = libraries.filter(Boolean);
+  const playlists = list.flatMap((l) => l.playlists);
+  const extras = list.map((l) => l.library).filter(Boolean);
+  const library = extras.length
+    ? {
+      savedAlbums: extras.flatMap((l) => l.savedAlbums || []),
+      followedArtists: extras.flatMap((l) => l.followedArtists || []),
+    }
+    : null;
+  return buildLibrary(playlists, library);
+}
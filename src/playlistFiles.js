@@ -0,0 +1,249 @@
+// Parsers for playlist files written by other tools: CSV (Exportify and similar), M3U/M3U8 and XSPF.
+// Each file becomes one normalized playlist: { name, owner, tracks, raw }.
+// XSPF is read with a small tag scanner rather than DOMParser so this also runs off the main thread.
+
+// Header aliases, compared lowercased with surrounding whitespace removed
+const CSV_FIELDS = {
+  uri: ['track uri', 'spotify uri', 'spotify_uri', 'uri', 'spotify id', 'track id'],
+  title: ['track name', 'track_name', 'title', 'name', 'track', 'song', 'song name'],
+  artists: ['artist name(s)', 'artist name', 'artist_name', 'artists', 'artist', 'artist(s)'],
+  album: ['album name', 'album_name', 'album', 'album title'],
+  duration: ['track duration (ms)', 'duration (ms)', 'duration_ms', 'duration', 'length', 'time'],
+  addedAt: ['added at', 'added_at', 'date added', 'added', 'addeddate'],
+  isrc: ['isrc'],
+};
+
+function stripExtension(name) {
+  return (name || '').replace(/\.[^./]+$/, '');
+}
+
+function emptyTrack(raw) {
+  return { title: 'Unknown', artists: [], album: null, addedAt: null, uri: null, durationMs: null, raw };
+}
+
+// Accepts spotify:track:ID, open.spotify.com/track/ID URLs or a bare 22-character ID
+export function toSpotifyUri(value) {
+  const s = String(value || '').trim();
+  if (!s) return null;
+  if (/^spotify:(track|episode|local):/.test(s)) return s;
+  const url = /open\.spotify\.com\/(?:intl-[a-z-]+\/)?(track|episode)\/([A-Za-z0-9]+)/.exec(s);
+  if (url) return `spotify:${url[1]}:${url[2]}`;
+  if (/^[A-Za-z0-9]{22}$/.test(s)) return `spotify:track:${s}`;
+  return null;
+}
+
+// Milliseconds, "m:ss" / "h:mm:ss", or plain seconds for small numbers
+function parseDuration(value) {
+  const s = String(value || '').trim();
+  if (!s) return null;
+  if (/^\d+(:\d{1,2}){1,2}$/.test(s)) {
+    return s.split(':').reduce((acc, part) => acc * 60 + Number(part), 0) * 1000;
+  }
+  const n = Number(s);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return n < 10_000 ? Math.round(n * 1000) : Math.round(n);
+}
+
+// "Artist - Title" as used by EXTINF lines and file names
+function splitArtistTitle(text) {
+  const s = String(text || '').trim();
+  const idx = s.indexOf(' - ');
+  if (idx === -1) return { artists: [], title: s || 'Unknown' };
+  return { artists: [s.slice(0, idx).trim()].filter(Boolean), title: s.slice(idx + 3).trim() || 'Unknown' };
+}
+
+function detectDelimiter(firstLine) {
+  const counts = [',', ';', '\t'].map((d) => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+// RFC 4180: quoted fields may contain delimiters, doubled quotes and line breaks
+export function parseCsvRows(text, delimiter = null) {
+  const src = text.replace(/^\uFEFF/, '');
+  const sep = delimiter || detectDelimiter(src.split(/\r?\n/, 1)[0] || '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === sep) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+}
+
+function mapCsvHeader(header) {
+  const normalized = header.map((h) => h.trim().toLowerCase());
+  const columns = {};
+  for (const [field, aliases] of Object.entries(CSV_FIELDS)) {
+    const index = aliases.map((a) => normalized.indexOf(a)).find((i) => i !== -1);
+    if (index !== undefined) columns[field] = index;
+  }
+  return columns;
+}
+
+export function parsePlaylistCsv(text, fileName) {
+  const rows = parseCsvRows(text);
+  const [header = [], ...body] = rows;
+  const columns = mapCsvHeader(header);
+  if (columns.title === undefined && columns.uri === undefined) return null;
+  const cell = (row, field) => (columns[field] !== undefined ? (row[columns[field]] || '').trim() : '');
+
+  const tracks = body.map((row) => {
+    const raw = Object.fromEntries(header.map((h, i) => [h, row[i] ?? '']));
+    const artists = cell(row, 'artists');
+    return {
+      ...emptyTrack(raw),
+      title: cell(row, 'title') || 'Unknown',
+      artists: artists ? artists.split(',').map((a) => a.trim()).filter(Boolean) : [],
+      album: cell(row, 'album') || null,
+      addedAt: cell(row, 'addedAt') || null,
+      uri: toSpotifyUri(cell(row, 'uri')),
+      durationMs: parseDuration(cell(row, 'duration')),
+      isrc: cell(row, 'isrc') || null,
+    };
+  });
+  return {
+    name: stripExtension(fileName) || 'Imported CSV',
+    owner: null,
+    tracks,
+    raw: { type: 'import', format: 'csv', file: fileName, columns: header },
+  };
+}
+
+export function parseM3u(text, fileName) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map((l) => l.trim());
+  let name = null;
+  let pending = null;
+  const tracks = [];
+  for (const line of lines) {
+    if (!line) continue;
+    if (line.startsWith('#PLAYLIST:')) {
+      name = line.slice('#PLAYLIST:'.length).trim() || name;
+    } else if (line.startsWith('#EXTINF:')) {
+      const body = line.slice('#EXTINF:'.length);
+      const comma = body.indexOf(',');
+      const seconds = Number((comma === -1 ? body : body.slice(0, comma)).trim().split(/\s/)[0]);
+      const { artists, title } = splitArtistTitle(comma === -1 ? '' : body.slice(comma + 1));
+      pending = { ...emptyTrack(null), title, artists, durationMs: seconds > 0 ? seconds * 1000 : null };
+    } else if (line.startsWith('#EXTALB:')) {
+      if (pending) pending.album = line.slice('#EXTALB:'.length).trim() || null;
+    } else if (line.startsWith('#EXTART:')) {
+      if (pending && !pending.artists.length) pending.artists = [line.slice('#EXTART:'.length).trim()].filter(Boolean);
+    } else if (!line.startsWith('#')) {
+      // Location line closes the entry; without EXTINF fall back to the file name
+      let track = pending;
+      if (!track) {
+        const base = decodeURIComponentSafe(stripExtension(line.split(/[\\/]/).pop()));
+        track = { ...emptyTrack(null), ...splitArtistTitle(base) };
+      }
+      track.uri = toSpotifyUri(line);
+      track.raw = { location: line };
+      tracks.push(track);
+      pending = null;
+    }
+  }
+  return {
+    name: name || stripExtension(fileName) || 'Imported M3U',
+    owner: null,
+    tracks,
+    raw: { type: 'import', format: 'm3u', file: fileName },
+  };
+}
+
+function decodeURIComponentSafe(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s;
+  }
+}
+
+function decodeXml(s) {
+  return String(s || '')
+    .trim()
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// All values of a direct child tag, e.g. every <location> in a <track>
+function tagValues(xml, tag) {
+  const re = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'gi');
+  const values = [];
+  let m;
+  while ((m = re.exec(xml))) values.push(decodeXml(m[1]));
+  return values;
+}
+
+export function isXspf(text) {
+  return /<playlist[\s>]/i.test(text) && /xspf\.org\/ns\/0/i.test(text);
+}
+
+export function parseXspf(text, fileName) {
+  const trackList = /<trackList(?:\s[^>]*)?>([\s\S]*?)<\/trackList>/i.exec(text)?.[1] || '';
+  const trackListStart = text.search(/<trackList[\s>]/i);
+  const header = trackListStart === -1 ? text : text.slice(0, trackListStart);
+  const name = tagValues(header, 'title')[0] || stripExtension(fileName) || 'Imported XSPF';
+  const tracks = [];
+  const trackRe = /<track(?:\s[^>]*)?>([\s\S]*?)<\/track>/gi;
+  let m;
+  while ((m = trackRe.exec(trackList))) {
+    const body = m[1];
+    const locations = tagValues(body, 'location');
+    const identifiers = tagValues(body, 'identifier');
+    const uri = [...identifiers, ...locations].map(toSpotifyUri).find(Boolean) || null;
+    const creator = tagValues(body, 'creator')[0];
+    const duration = Number(tagValues(body, 'duration')[0]);
+    tracks.push({
+      title: tagValues(body, 'title')[0] || 'Unknown',
+      artists: creator ? [creator] : [],
+      album: tagValues(body, 'album')[0] || null,
+      addedAt: null,
+      uri,
+      durationMs: duration > 0 ? duration : null,
+      raw: { locations, identifiers },
+    });
+  }
+  return {
+    name,
+    owner: null,
+    tracks,
+    raw: { type: 'import', format: 'xspf', file: fileName },
+  };
+}
@@ -0,0 +1,196 @@
+// Writing back to Spotify: new playlists from a selection, and removing duplicates from an owned playlist.
+// Every change is first built as a plan (a dry run the UI previews), then applied by applyWritePlan.
+// applyWritePlan only talks to Spotify through its `api` argument, so it can run against an in-memory stand-in.
+
+import { addPlaylistItems, createPlaylist, getPlaylistSnapshotId, LIKED_SONGS_ID, removePlaylistItems } from './spotifyApi.js';
+import { clusterTracks, spotifyTrackUri, trackMatchKeys } from './trackIdentity.js';
+import { isLikedPlaylist } from './normalize.js';
+
+// Spotify's limit for one add or remove request
+export const MAX_ITEMS_PER_REQUEST = 100;
+
+const SPOTIFY_API = { createPlaylist, addPlaylistItems, removePlaylistItems, getPlaylistSnapshotId };
+
+// A dedupe that stopped after copies may already have been removed. Kept copies of those songs are missing from
+// the playlist until `resumePlan` is applied, which picks up at the request that failed.
+export class PartialWriteError extends Error {
+  constructor(message, { resumePlan, missing, cause }) {
+    super(message, { cause });
+    this.name = 'PartialWriteError';
+    this.resumePlan = resumePlan;
+    this.missing = missing;
+  }
+}
+
+export const SET_OPERATIONS = [
+  { value: 'union', label: 'Either' },
+  { value: 'intersection', label: 'Both' },
+  { value: 'difference', label: 'Only this one' },
+];
+
+function chunk(items, size = MAX_ITEMS_PER_REQUEST) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+// Keeps the first copy of every song (same URI, or same artist + title); returns { kept, removed: [{ track, position }] }
+export function dedupeTracks(tracks) {
+  const occurrences = tracks.map((track, position) => ({ track, position }));
+  const removedPositions = new Set();
+  for (const group of clusterTracks(occurrences, (o) => o.track)) {
+    for (const o of group.slice(1)) removedPositions.add(o.position);
+  }
+  return {
+    kept: tracks.filter((_, i) => !removedPositions.has(i)),
+    removed: occurrences.filter((o) => removedPositions.has(o.position)),
+  };
+}
+
+// Tracks of `a` and `b` combined by `operation` (see SET_OPERATIONS), in playlist order and without repeats.
+// Songs match the same way as duplicates do.
+export function combineTracks(a, b, operation) {
+  const keysOf = (tracks) => new Set(tracks.flatMap(trackMatchKeys));
+  const inB = keysOf(b);
+  const matchesB = (t) => trackMatchKeys(t).some((k) => inB.has(k));
+  let tracks;
+  if (operation === 'intersection') tracks = a.filter(matchesB);
+  else if (operation === 'difference') tracks = a.filter((t) => !matchesB(t));
+  else tracks = a.concat(b);
+  return dedupeTracks(tracks).kept;
+}
+
+// Only real, writable playlists: fetched from the API (so an id and snapshot are known) and owned by the user
+export function canEditPlaylist(playlist, isOwned) {
+  const id = playlist?.raw?.id;
+  return !!id && id !== LIKED_SONGS_ID && !isLikedPlaylist(playlist) && !!playlist.raw.snapshotId && isOwned;
+}
+
+// Dry run for a new playlist. Local files and podcast episodes can't be added through the API and are listed in `skipped`.
+// `accountId` is the signed-in account that will own it (the active one when null).
+export function planNewPlaylist({ name, description = '', isPublic = false, tracks, accountId = null }) {
+  const added = [];
+  const skipped = [];
+  for (const track of tracks) (spotifyTrackUri(track) ? added : skipped).push(track);
+  return {
+    kind: 'create',
+    accountId,
+    name: String(name || '').trim() || 'New playlist',
+    description,
+    isPublic,
+    added,
+    skipped,
+    requests: 1 + chunk(added).length,
+  };
+}
+
+// Dry run for removing repeats from an existing playlist, keeping each song's first copy.
+// Spotify removes every copy of a URI at once, so copies that are kept but share a removed URI are put back
+// at their final positions; `reinserts` lists them ({ position, uris, tracks }) so a failure can name them. Repeats without a Spotify URI (local files) can't be removed and are left alone.
+export function planRemoveDuplicates(playlist) {
+  const tracks = playlist.tracks;
+  const { removed } = dedupeTracks(tracks);
+  const removable = removed.filter((o) => spotifyTrackUri(o.track));
+  const removedPositions = new Set(removable.map((o) => o.position));
+  const removeUris = Array.from(new Set(removable.map((o) => spotifyTrackUri(o.track))));
+  const affected = new Set(removeUris);
+
+  // Final index of every kept copy whose URI is about to be removed, as runs of consecutive positions
+  const reinserts = [];
+  let finalIndex = 0;
+  tracks.forEach((track, position) => {
+    if (removedPositions.has(position)) return;
+    const uri = spotifyTrackUri(track);
+    if (uri && affected.has(uri)) {
+      const last = reinserts[reinserts.length - 1];
+      if (last && last.position + last.uris.length === finalIndex && last.uris.length < MAX_ITEMS_PER_REQUEST) {
+        last.uris.push(uri);
+        last.tracks.push(track);
+      } else {
+        reinserts.push({ position: finalIndex, uris: [uri], tracks: [track] });
+      }
+    }
+    finalIndex += 1;
+  });
+
+  return {
+    kind: 'dedupe',
+    // In a combined view the playlist may belong to another signed-in account than the active one
+    accountId: playlist.source?.accountId || null,
+    playlistId: playlist.raw.id,
+    snapshotId: playlist.raw.snapshotId,
+    name: playlist.name,
+    removed: removable,
+    unremovable: removed.filter((o) => !spotifyTrackUri(o.track)),
+    removeUris,
+    reinserts,
+    before: tracks.length,
+    after: tracks.length - removable.length,
+    requests: removable.length ? 1 + chunk(removeUris).length + reinserts.length : 0,
+  };
+}
+
+// Applies a plan from planNewPlaylist or planRemoveDuplicates, or a PartialWriteError's `resumePlan`.
+// `onProgress({ done, total })` counts requests. Resolves to { playlistId, snapshotId, url } (url only for a new playlist).
+export async function applyWritePlan(plan, { api = SPOTIFY_API, signal, onProgress = () => {} } = {}) {
+  const total = plan.requests;
+  let done = 0;
+  const step = () => onProgress({ done: ++done, total });
+  const options = { signal, accountId: plan.accountId || undefined };
+  onProgress({ done, total });
+
+  if (plan.kind === 'create') {
+    const created = await api.createPlaylist({ name: plan.name, description: plan.description, isPublic: plan.isPublic }, options);
+    step();
+    let snapshotId = created.snapshot_id || null;
+    for (const uris of chunk(plan.added.map(spotifyTrackUri))) {
+      snapshotId = (await api.addPlaylistItems(created.id, uris, options))?.snapshot_id || snapshotId;
+      step();
+    }
+    return { playlistId: created.id, snapshotId, url: created.external_urls?.spotify || null };
+  }
+
+  if (plan.kind === 'dedupe') {
+    if (!plan.removeUris.length) return { playlistId: plan.playlistId, snapshotId: plan.snapshotId, url: null };
+    const removeChunks = chunk(plan.removeUris);
+    const completed = { removes: 0, reinserts: 0, ...plan.completed };
+    let snapshotId = plan.snapshotId;
+    if (plan.completed) {
+      done = 1 + completed.removes + completed.reinserts;
+      onProgress({ done, total });
+    } else {
+      // The plan is based on the cached track list; if the playlist changed since, positions would be wrong
+      const current = await api.getPlaylistSnapshotId(plan.playlistId, options);
+      step();
+      if (current !== plan.snapshotId) {
+        throw new Error(`“${plan.name}” changed on Spotify since it was last fetched. Refresh your playlists and try again.`);
+      }
+    }
+    try {
+      for (; completed.removes < removeChunks.length; completed.removes += 1) {
+        const uris = removeChunks[completed.removes];
+        snapshotId = (await api.removePlaylistItems(plan.playlistId, uris, { ...options, snapshotId }))?.snapshot_id || snapshotId;
+        step();
+      }
+      for (; completed.reinserts < plan.reinserts.length; completed.reinserts += 1) {
+        const { position, uris } = plan.reinserts[completed.reinserts];
+        snapshotId = (await api.addPlaylistItems(plan.playlistId, uris, { ...options, position }))?.snapshot_id || snapshotId;
+        step();
+      }
+    } catch (e) {
+      // A request that failed may still have been applied, so its URIs count as removed. Removing a URI twice
+      // is harmless, which is why resuming starts with the request that failed.
+      const removing = completed.removes < removeChunks.length;
+      const removed = new Set(removeChunks.slice(0, completed.removes + (removing ? 1 : 0)).flat());
+      const missing = plan.reinserts.slice(completed.reinserts).flatMap((r) => r.tracks.filter((_, i) => removed.has(r.uris[i])));
+      if (!missing.length) throw e;
+      throw new PartialWriteError(
+        `Stopped partway: ${missing.length} kept cop${missing.length === 1 ? 'y' : 'ies'} may be missing from “${plan.name}” until you retry.`,
+        { resumePlan: { ...plan, snapshotId, completed: { ...completed } }, missing, cause: e }
+      );
+    }
+    return { playlistId: plan.playlistId, snapshotId, url: null };
+  }
+
+  throw new Error(`Unknown write plan: ${plan.kind}`);
+}
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyWritePlan, PartialWriteError, planRemoveDuplicates } from './playlistWrites.js';
+
+const track = (id, title) => ({ title, artists: ['Artist'], album: null, uri: `spotify:track:${id}` });
+
+// A, C, B, A, B: the second A and B go, and the first A and B are put back at 0 and 2
+const A = track('a', 'Song A');
+const B = track('b', 'Song B');
+const C = track('c', 'Song C');
+const playlist = {
+  name: 'Mix',
+  tracks: [A, C, B, A, B],
+  raw: { id: 'pl1', snapshotId: 'snap0' },
+};
+
+// An in-memory playlist that behaves like Spotify's endpoints; `failOn(call)` makes a request fail before it applies
+function mockSpotify({ snapshotId = 'snap0', failOn = () => false } = {}) {
+  const uris = playlist.tracks.map((t) => t.uri);
+  const calls = [];
+  let version = 0;
+  const nextSnapshot = () => ({ snapshot_id: `snap${++version}` });
+  const record = (call) => {
+    calls.push(call);
+    if (failOn(call, calls)) throw new Error(`Spotify API error 500 on ${call.type}`);
+  };
+  return {
+    uris,
+    calls,
+    api: {
+      async getPlaylistSnapshotId() {
+        record({ type: 'snapshot' });
+        return snapshotId;
+      },
+      async removePlaylistItems(playlistId, remove) {
+        record({ type: 'remove', uris: remove });
+        const gone = new Set(remove);
+        uris.splice(0, uris.length, ...uris.filter((uri) => !gone.has(uri)));
+        return nextSnapshot();
+      },
+      async addPlaylistItems(playlistId, add, { position }) {
+        record({ type: 'add', uris: add, position });
+        uris.splice(position, 0, ...add);
+        return nextSnapshot();
+      },
+    },
+  };
+}
+
+test('removes repeats and puts the kept copies back where they were', async () => {
+  const plan = planRemoveDuplicates(playlist);
+  const spotify = mockSpotify();
+  await applyWritePlan(plan, { api: spotify.api });
+  assert.deepEqual(spotify.uris, [A.uri, C.uri, B.uri]);
+  assert.deepEqual(spotify.calls.map((c) => c.type), ['snapshot', 'remove', 'add', 'add']);
+  assert.equal(spotify.calls.length, plan.requests);
+});
+
+test('a failed reinsert reports the missing copy and resumes from there', async () => {
+  const plan = planRemoveDuplicates(playlist);
+  let failures = 0;
+  const spotify = mockSpotify({ failOn: (call) => call.type === 'add' && call.position === 2 && failures++ === 0 });
+
+  const error = await applyWritePlan(plan, { api: spotify.api }).catch((e) => e);
+  assert.ok(error instanceof PartialWriteError);
+  assert.deepEqual(error.missing, [B]);
+  assert.deepEqual(spotify.uris, [A.uri, C.uri]);
+
+  await applyWritePlan(error.resumePlan, { api: spotify.api });
+  assert.deepEqual(spotify.uris, [A.uri, C.uri, B.uri]);
+  // Resuming doesn't check the snapshot again or repeat requests that succeeded
+  assert.deepEqual(spotify.calls.slice(4).map((c) => c.type), ['add']);
+});
+
+test('a failed removal counts its songs as missing, and resuming removes them again first', async () => {
+  const plan = planRemoveDuplicates(playlist);
+  const spotify = mockSpotify({ failOn: (call, calls) => call.type === 'remove' && calls.length === 2 });
+
+  const error = await applyWritePlan(plan, { api: spotify.api }).catch((e) => e);
+  assert.ok(error instanceof PartialWriteError);
+  assert.deepEqual(error.missing, [A, B]);
+  assert.deepEqual(spotify.uris, playlist.tracks.map((t) => t.uri));
+
+  await applyWritePlan(error.resumePlan, { api: spotify.api });
+  assert.deepEqual(spotify.uris, [A.uri, C.uri, B.uri]);
+});
+
+test('nothing is written when the playlist changed since it was fetched', async () => {
+  const spotify = mockSpotify({ snapshotId: 'snap9' });
+  await assert.rejects(applyWritePlan(planRemoveDuplicates(playlist), { api: spotify.api }), /changed on Spotify/);
+  assert.deepEqual(spotify.calls.map((c) => c.type), ['snapshot']);
+});
@@ -0,0 +1,129 @@
+// Destination search providers: where a track's "search on …" buttons point.
+// Built-ins plus user-defined URL templates. Templates use {query}, {artist}, {artists}, {title}, {album} and {isrc};
+// every value is URL-encoded. The chosen buttons, the default and the custom templates are kept in localStorage.
+// {query}, {artist} and {title} are cleaned up by searchQuery.js unless the query mode (or the track) is "exact".
+
+import { buildSearchQuery } from './searchQuery.js';
+import { trackIdentity } from './trackIdentity.js';
+
+const SETTINGS_KEY = 'playlistory_providers_v1';
+
+export const BUILTIN_PROVIDERS = [
+  { id: 'ytm', name: 'YouTube Music', short: 'YTM', template: 'https://music.youtube.com/search?q={query}', queryStyle: 'dash' },
+  { id: 'youtube', name: 'YouTube', short: 'YT', template: 'https://www.youtube.com/results?search_query={query}', queryStyle: 'dash' },
+  { id: 'apple', name: 'Apple Music', short: 'AM', template: 'https://music.apple.com/search?term={query}' },
+  { id: 'deezer', name: 'Deezer', short: 'DZ', template: 'https://www.deezer.com/search/{query}' },
+  { id: 'tidal', name: 'Tidal', short: 'TD', template: 'https://listen.tidal.com/search?q={query}' },
+  { id: 'soundcloud', name: 'SoundCloud', short: 'SC', template: 'https://soundcloud.com/search?q={query}' },
+  { id: 'bandcamp', name: 'Bandcamp', short: 'BC', template: 'https://bandcamp.com/search?q={query}' },
+  { id: 'qobuz', name: 'Qobuz', short: 'QB', template: 'https://play.qobuz.com/search?q={query}' },
+];
+
+export const TEMPLATE_PLACEHOLDERS = ['query', 'artist', 'artists', 'title', 'album', 'isrc'];
+
+// Until the user picks otherwise the app behaves as it always did: one YouTube Music button
+// `exactTracks` lists track identities whose cleaned query turned out wrong and that always search exactly.
+export const DEFAULT_PROVIDER_SETTINGS = { enabled: ['ytm'], defaultId: 'ytm', custom: [], queryMode: 'clean', exactTracks: [] };
+
+// ISRCs come from CSV imports (`isrc`) or the API's external_ids
+export function trackIsrc(track) {
+  return track?.isrc || track?.raw?.track?.external_ids?.isrc || track?.raw?.external_ids?.isrc || null;
+}
+
+export function queryModeFor(settings, track) {
+  if (settings?.exactTracks?.includes(trackIdentity(track))) return 'exact';
+  return settings?.queryMode === 'exact' ? 'exact' : 'clean';
+}
+
+// Returns a new settings object with `track` pinned to exact searches (or unpinned)
+export function withExactTrack(settings, track, exact) {
+  const id = trackIdentity(track);
+  const rest = (settings.exactTracks || []).filter((x) => x !== id);
+  return { ...settings, exactTracks: exact ? [...rest, id] : rest };
+}
+
+export function templateValues(track, { mode = 'clean', style = 'plain' } = {}) {
+  const artists = Array.isArray(track?.artists) ? track.artists : [];
+  const { query, artist, title } = buildSearchQuery(track, { mode, style });
+  return {
+    query,
+    artist,
+    artists: artists.join(', '),
+    title,
+    album: track?.album || '',
+    isrc: trackIsrc(track) || '',
+  };
+}
+
+// Returns null when the template needs a value the track doesn't have (typically {isrc}).
+// `mode` is 'clean' or 'exact' (see queryModeFor).
+export function buildProviderUrl(provider, track, mode = 'clean') {
+  const values = templateValues(track, { mode, style: provider.queryStyle || 'plain' });
+  let missing = false;
+  const url = provider.template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in values)) return match;
+    if (!values[name]) missing = true;
+    return encodeURIComponent(values[name]);
+  });
+  return missing ? null : url;
+}
+
+// Human-readable problem with a custom template, or null when it is usable
+export function validateTemplate(template) {
+  const t = String(template || '').trim();
+  if (!/^https?:\/\/[^\s/]+/i.test(t)) return 'The template must be an http(s) URL.';
+  const unknown = Array.from(t.matchAll(/\{(\w+)\}/g), (m) => m[1]).filter((name) => !TEMPLATE_PLACEHOLDERS.includes(name));
+  if (unknown.length) return `Unknown placeholder {${unknown[0]}}. Use ${TEMPLATE_PLACEHOLDERS.map((p) => `{${p}}`).join(', ')}.`;
+  if (!/\{\w+\}/.test(t)) return 'The template needs at least one placeholder, such as {query}.';
+  return null;
+}
+
+export function createCustomProvider(name, template) {
+  const label = String(name || '').trim() || 'Custom';
+  return {
+    id: `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: label,
+    short: label.slice(0, 3).toUpperCase(),
+    template: String(template).trim(),
+    custom: true,
+  };
+}
+
+export function allProviders(settings) {
+  return [...BUILTIN_PROVIDERS, ...(settings?.custom || [])];
+}
+
+// { buttons, defaultProvider }: enabled providers in display order, default first
+export function resolveProviders(settings) {
+  const byId = new Map(allProviders(settings).map((p) => [p.id, p]));
+  const buttons = (settings?.enabled || []).map((id) => byId.get(id)).filter(Boolean);
+  const defaultProvider = byId.get(settings?.defaultId) || buttons[0] || BUILTIN_PROVIDERS[0];
+  const ordered = buttons.includes(defaultProvider) ? [defaultProvider, ...buttons.filter((p) => p !== defaultProvider)] : buttons;
+  return { buttons: ordered, defaultProvider };
+}
+
+export function loadProviderSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+    if (!stored || typeof stored !== 'object') return DEFAULT_PROVIDER_SETTINGS;
+    const custom = Array.isArray(stored.custom)
+      ? stored.custom.filter((p) => p?.id && p?.name && !validateTemplate(p.template)).map((p) => ({ ...p, custom: true }))
+      : [];
+    const known = new Set([...BUILTIN_PROVIDERS, ...custom].map((p) => p.id));
+    const enabled = Array.isArray(stored.enabled) ? stored.enabled.filter((id) => known.has(id)) : DEFAULT_PROVIDER_SETTINGS.enabled;
+    const defaultId = known.has(stored.defaultId) ? stored.defaultId : enabled[0] || DEFAULT_PROVIDER_SETTINGS.defaultId;
+    const queryMode = stored.queryMode === 'exact' ? 'exact' : 'clean';
+    const exactTracks = Array.isArray(stored.exactTracks) ? stored.exactTracks.filter((x) => typeof x === 'string') : [];
+    return { enabled, defaultId, custom, queryMode, exactTracks };
+  } catch {
+    return DEFAULT_PROVIDER_SETTINGS;
+  }
+}
+
+export function saveProviderSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch {
+    // Private mode or a full quota: the choice only lasts for this session
+  }
+}
@@ -25,6 +25,7 @@ export function sanitizePlaylistsForStorage(playlists) {
     id: p?.id || null,
     name: p?.name || 'Untitled playlist',
     owner: p?.owner || p?.user || (p?.raw?.owner?.display_name || p?.raw?.owner?.id || null) || null,
+    snapshotId: p?.snapshotId || p?.snapshot_id || null,
     tracks: Array.isArray(p?.tracks) ? p.tracks.map(sanitizeTrack) : [],
   }));
 }
@@ -0,0 +1,352 @@
+// Search query language shared by the playlist list, the playlist view and the library-wide search.
+//
+//   radiohead                 free text: title, artist or album (playlist name when filtering playlists)
+//   "kid a"                   quoted phrase
+//   artist:"Radiohead"        field scoped: title, artist, album, playlist, added, len
+//   added:2014..2016          added date: year, year-month or full date; ranges and <, <=, >, >=
+//   added:<2018-06            added before June 2018
+//   len:>6m   len:3:00..4:30  duration: 6m, 90s, 1h, 3m30s, 3:30 (a bare number means minutes)
+//   -live   -album:live       negation
+//   a OR b   (a | b) c        OR groups; terms next to each other are ANDed
+//
+// parseQuery() never throws: syntax problems come back as { error: { message, index } }.
+
+import { trackIdentity } from './trackIdentity.js';
+
+const FIELD_ALIASES = {
+  title: 'title',
+  track: 'title',
+  name: 'title',
+  artist: 'artist',
+  by: 'artist',
+  album: 'album',
+  playlist: 'playlist',
+  list: 'playlist',
+  added: 'added',
+  date: 'added',
+  len: 'len',
+  length: 'len',
+  duration: 'len',
+};
+
+class QuerySyntaxError extends Error {
+  constructor(message, index) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.index = index;
+  }
+}
+
+// ---- Tokenizer ----
+
+function readQuoted(input, start) {
+  const end = input.indexOf('"', start + 1);
+  if (end === -1) throw new QuerySyntaxError('Missing closing quote', start);
+  return { value: input.slice(start + 1, end), next: end + 1 };
+}
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const c = input[i];
+    if (/\s/.test(c)) {
+      i++;
+    } else if (c === '(' || c === ')') {
+      tokens.push({ type: c, index: i });
+      i++;
+    } else if (c === '|') {
+      tokens.push({ type: 'or', index: i });
+      i++;
+    } else if (c === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      tokens.push({ type: 'not', index: i });
+      i++;
+    } else if (c === '-') {
+      // A lone dash ("AC - DC") carries no meaning
+      i++;
+    } else if (c === '"') {
+      const { value, next } = readQuoted(input, i);
+      tokens.push({ type: 'term', field: null, value, quoted: true, index: i });
+      i = next;
+    } else {
+      const start = i;
+      while (i < input.length && !/[\s()"]/.test(input[i])) i++;
+      const word = input.slice(start, i);
+      if (word === 'OR') {
+        tokens.push({ type: 'or', index: start });
+        continue;
+      }
+      if (word === 'AND') continue;
+      const colon = word.indexOf(':');
+      const field = colon > 0 ? FIELD_ALIASES[word.slice(0, colon).toLowerCase()] : null;
+      if (!field) {
+        tokens.push({ type: 'term', field: null, value: word, quoted: false, index: start });
+        continue;
+      }
+      let value = word.slice(colon + 1);
+      let quoted = false;
+      // artist:"Some Name" and added:>"2018-06" (quotes after an operator)
+      if (input[i] === '"' && /^(<=|>=|<|>|=)?$/.test(value)) {
+        const q = readQuoted(input, i);
+        value += q.value;
+        quoted = true;
+        i = q.next;
+      }
+      if (!value) throw new QuerySyntaxError(`Missing value after "${word}"`, start);
+      tokens.push({ type: 'term', field, value, quoted, index: start });
+    }
+  }
+  return tokens;
+}
+
+// ---- Value parsing for added: and len: ----
+
+function splitComparison(value) {
+  const range = value.indexOf('..');
+  if (range !== -1) return { op: 'range', from: value.slice(0, range), to: value.slice(range + 2) };
+  const m = /^(<=|>=|<|>|=)?(.*)$/.exec(value);
+  return { op: m[1] || '=', value: m[2] };
+}
+
+// "2014", "2018-06" or "2018-06-15" -> [start, end) in UTC milliseconds
+function parseDateInterval(text, index) {
+  const m = /^(\d{4})(?:[-/](\d{1,2})(?:[-/](\d{1,2}))?)?$/.exec(text.trim());
+  if (!m) throw new QuerySyntaxError(`"${text}" is not a date (use 2018, 2018-06 or 2018-06-15)`, index);
+  const [y, mo, d] = [Number(m[1]), m[2] ? Number(m[2]) : null, m[3] ? Number(m[3]) : null];
+  if ((mo !== null && (mo < 1 || mo > 12)) || (d !== null && (d < 1 || d > 31))) {
+    throw new QuerySyntaxError(`"${text}" is not a valid date`, index);
+  }
+  if (d !== null) return [Date.UTC(y, mo - 1, d), Date.UTC(y, mo - 1, d + 1)];
+  if (mo !== null) return [Date.UTC(y, mo - 1, 1), Date.UTC(y, mo, 1)];
+  return [Date.UTC(y, 0, 1), Date.UTC(y + 1, 0, 1)];
+}
+
+function parseDurationMs(text, index) {
+  const s = text.trim().toLowerCase();
+  let m = /^(\d+):(\d{1,2})(?::(\d{1,2}))?$/.exec(s);
+  if (m) {
+    const parts = [m[1], m[2], m[3]].filter((p) => p !== undefined).map(Number);
+    return parts.reduce((acc, p) => acc * 60 + p, 0) * 1000;
+  }
+  m = /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?:in)?)?(?:(\d+(?:\.\d+)?)s(?:ec)?)?$/.exec(s);
+  if (m && (m[1] || m[2] || m[3])) {
+    return Math.round(((Number(m[1]) || 0) * 3600 + (Number(m[2]) || 0) * 60 + (Number(m[3]) || 0)) * 1000);
+  }
+  if (/^\d+(\.\d+)?$/.test(s)) return Math.round(Number(s) * 60_000);
+  throw new QuerySyntaxError(`"${text}" is not a duration (use 6m, 90s, 3m30s or 3:30)`, index);
+}
+
+// Dates compare by calendar period ("added:>2018" means 2019 onwards); durations compare as exact points,
+// except a bare duration ("len:4m") which matches the whole minute/second it names.
+function buildPredicate(field, value, index) {
+  const cmp = splitComparison(value);
+  if (field === 'added') {
+    if (cmp.op === 'range') {
+      if (!cmp.from && !cmp.to) throw new QuerySyntaxError('Empty date range', index);
+      const lo = cmp.from ? parseDateInterval(cmp.from, index)[0] : -Infinity;
+      const hi = cmp.to ? parseDateInterval(cmp.to, index)[1] : Infinity;
+      return (v) => v >= lo && v < hi;
+    }
+    const [start, end] = parseDateInterval(cmp.value, index);
+    if (cmp.op === '<') return (v) => v < start;
+    if (cmp.op === '<=') return (v) => v < end;
+    if (cmp.op === '>') return (v) => v >= end;
+    if (cmp.op === '>=') return (v) => v >= start;
+    return (v) => v >= start && v < end;
+  }
+  if (cmp.op === 'range') {
+    if (!cmp.from && !cmp.to) throw new QuerySyntaxError('Empty duration range', index);
+    const lo = cmp.from ? parseDurationMs(cmp.from, index) : -Infinity;
+    const hi = cmp.to ? parseDurationMs(cmp.to, index) : Infinity;
+    return (v) => v >= lo && v <= hi;
+  }
+  const ms = parseDurationMs(cmp.value, index);
+  if (cmp.op === '<') return (v) => v < ms;
+  if (cmp.op === '<=') return (v) => v <= ms;
+  if (cmp.op === '>') return (v) => v > ms;
+  if (cmp.op === '>=') return (v) => v >= ms;
+  const unit = /:\d/.test(cmp.value) || /s(ec)?$/i.test(cmp.value.trim()) ? 1000 : 60_000;
+  return (v) => v >= ms && v < ms + unit;
+}
+
+// ---- Parser ----
+
+function parseTokens(tokens, inputLength) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === 'or') {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [];
+    while (peek() && peek().type !== 'or' && peek().type !== ')') children.push(parseUnary());
+    if (!children.length) {
+      const t = peek();
+      throw new QuerySyntaxError(t ? `Unexpected "${t.type === 'or' ? 'OR' : t.type}"` : 'Query ends unexpectedly', t ? t.index : inputLength);
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary() {
+    const t = peek();
+    if (t.type === 'not') {
+      pos++;
+      if (!peek() || peek().type === 'or' || peek().type === ')') throw new QuerySyntaxError('Nothing to exclude after "-"', t.index);
+      return { type: 'not', child: parseUnary() };
+    }
+    if (t.type === '(') {
+      pos++;
+      const inner = parseOr();
+      if (peek()?.type !== ')') throw new QuerySyntaxError('Missing closing parenthesis', t.index);
+      pos++;
+      return inner;
+    }
+    pos++;
+    const node = { type: 'term', field: t.field, value: t.value, index: t.index };
+    if (t.field === 'added' || t.field === 'len') {
+      node.test = buildPredicate(t.field, t.value, t.index);
+    } else {
+      node.needle = t.value.toLowerCase();
+    }
+    return node;
+  }
+
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    const t = tokens[pos];
+    throw new QuerySyntaxError(t.type === ')' ? 'Unmatched closing parenthesis' : 'Unexpected input', t.index);
+  }
+  return ast;
+}
+
+function collectHighlightTerms(node, negated, out) {
+  if (!node) return out;
+  if (node.type === 'not') return collectHighlightTerms(node.child, !negated, out);
+  if (node.type === 'and' || node.type === 'or') {
+    for (const child of node.children) collectHighlightTerms(child, negated, out);
+    return out;
+  }
+  if (!negated && node.needle && ['title', 'artist', 'album', null].includes(node.field)) out.push(node.value);
+  return out;
+}
+
+// Returns null for an empty query, else { ast, error, terms } (ast is null when there is an error)
+export function parseQuery(input) {
+  const text = String(input || '');
+  if (!text.trim()) return null;
+  try {
+    const tokens = tokenize(text);
+    if (!tokens.length) return null;
+    const ast = parseTokens(tokens, text.length);
+    return { ast, error: null, terms: collectHighlightTerms(ast, false, []) };
+  } catch (e) {
+    if (!(e instanceof QuerySyntaxError)) throw e;
+    return { ast: null, error: { message: e.message, index: e.index }, terms: [] };
+  }
+}
+
+// ---- Evaluation ----
+
+function includes(haystack, needle) {
+  return String(haystack || '').toLowerCase().includes(needle);
+}
+
+function addedTime(track) {
+  const time = track.addedAt ? Date.parse(track.addedAt) : NaN;
+  return Number.isFinite(time) ? time : null;
+}
+
+function matchTrackTerm(node, track, playlist) {
+  switch (node.field) {
+    case 'title': return includes(track.title, node.needle);
+    case 'artist': return track.artists.some((a) => includes(a, node.needle));
+    case 'album': return includes(track.album, node.needle);
+    case 'playlist': return !!playlist && includes(playlist.name, node.needle);
+    case 'added': {
+      const time = addedTime(track);
+      return time !== null && node.test(time);
+    }
+    case 'len': return !!track.durationMs && node.test(track.durationMs);
+    default:
+      return includes(track.title, node.needle) || track.artists.some((a) => includes(a, node.needle)) || includes(track.album, node.needle);
+  }
+}
+
+function evaluate(node, matchTerm) {
+  if (node.type === 'and') return node.children.every((c) => evaluate(c, matchTerm));
+  if (node.type === 'or') return node.children.some((c) => evaluate(c, matchTerm));
+  if (node.type === 'not') return !evaluate(node.child, matchTerm);
+  return matchTerm(node);
+}
+
+export function matchesTrack(track, parsed, playlist = null) {
+  if (!parsed?.ast) return true;
+  return evaluate(parsed.ast, (node) => matchTrackTerm(node, track, playlist));
+}
+
+// Free text and playlist: match the playlist name; track fields match if any track in the playlist does
+export function matchesPlaylist(playlist, parsed) {
+  if (!parsed?.ast) return true;
+  return evaluate(parsed.ast, (node) => {
+    if (node.field === null || node.field === 'playlist') return includes(playlist.name, node.needle);
+    return playlist.tracks.some((t) => matchTrackTerm(node, t, playlist));
+  });
+}
+
+// Queries with a syntax error don't filter anything; the error is shown next to the search box instead
+export function filterTracks(tracks, parsed, playlist = null) {
+  if (!parsed?.ast) return tracks;
+  return tracks.filter((t) => matchesTrack(t, parsed, playlist));
+}
+
+// Searches every playlist, folding copies of the same track (by URI or artist+title) into one result:
+// [{ track, playlists: [{ playlistIndex, name }] }]. `total` counts results before `limit` is applied.
+export function searchLibrary(playlists, parsed, { limit = 500 } = {}) {
+  if (!parsed?.ast) return { results: [], total: 0 };
+  const byIdentity = new Map();
+  playlists.forEach((p, playlistIndex) => {
+    for (const track of p.tracks) {
+      if (!matchesTrack(track, parsed, p)) continue;
+      const id = trackIdentity(track);
+      let result = byIdentity.get(id);
+      if (!result) {
+        result = { id, track, playlists: [] };
+        byIdentity.set(id, result);
+      }
+      if (!result.playlists.some((x) => x.playlistIndex === playlistIndex)) {
+        result.playlists.push({ playlistIndex, name: p.name });
+      }
+    }
+  });
+  const results = Array.from(byIdentity.values());
+  return { results: results.slice(0, limit), total: results.length };
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Splits `text` into [{ text, match }] parts around case-insensitive occurrences of any of `terms`
+export function highlightParts(text, terms) {
+  const s = String(text ?? '');
+  const list = (terms || []).filter(Boolean);
+  if (!list.length) return [{ text: s, match: false }];
+  const re = new RegExp(list.sort((a, b) => b.length - a.length).map(escapeRegExp).join('|'), 'gi');
+  const parts = [];
+  let from = 0;
+  for (const m of s.matchAll(re)) {
+    if (!m[0]) continue;
+    if (m.index > from) parts.push({ text: s.slice(from, m.index), match: false });
+    parts.push({ text: m[0], match: true });
+    from = m.index + m[0].length;
+  }
+  if (from < s.length) parts.push({ text: s.slice(from), match: false });
+  return parts;
+}
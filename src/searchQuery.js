@@ -0,0 +1,68 @@
+// Builds the text sent to other services' search boxes. Spotify titles carry decorations ("- 2011 Remaster",
+// "(feat. X)", "- Radio Edit") that make those searches miss, so the default "clean" query drops them,
+// keeps only the primary artist and folds typographic characters. "exact" reproduces the raw artist and title.
+
+import { stripTitleDecorations } from './trackIdentity.js';
+
+// On top of the identity noise in trackIdentity.js: tags that describe a release, not the song
+const QUERY_NOISE = [
+  /^from\s.*\b(soundtrack|motion picture|film|movie|series|musical)\b/i,
+  /^original mix$/i,
+  /^\d{4}\s+(mix|version|re-?recording)$/i,
+];
+
+const FOLDS = [
+  [/[‘’‚‛′]/g, "'"],
+  [/[“”„‟″]/g, '"'],
+  [/[‐‑‒–—―]/g, '-'],
+  [/…/g, '...'],
+  [/æ/g, 'ae'], [/Æ/g, 'Ae'],
+  [/œ/g, 'oe'], [/Œ/g, 'Oe'],
+  [/ß/g, 'ss'],
+  [/ø/g, 'o'], [/Ø/g, 'O'],
+  [/ł/g, 'l'], [/Ł/g, 'L'],
+  [/đ/g, 'd'], [/Đ/g, 'D'],
+  [/þ/g, 'th'], [/Þ/g, 'Th'],
+];
+
+// Latin accents and ligatures only; other scripts are left alone (NFC keeps Hangul etc. composed)
+export function foldForSearch(text) {
+  let s = String(text || '');
+  for (const [re, replacement] of FOLDS) s = s.replace(re, replacement);
+  return s.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+}
+
+function stripQueryNoise(title) {
+  let s = title.replace(/\s*[([]([^()[\]]*)[)\]]/g, (match, inner) => (QUERY_NOISE.some((re) => re.test(inner.trim())) ? '' : match));
+  const dash = /\s+-\s+([^-]+)$/.exec(s);
+  if (dash && QUERY_NOISE.some((re) => re.test(dash[1].trim()))) s = s.slice(0, dash.index);
+  return s.trim() || title;
+}
+
+// "A feat. B" as a single artist string -> "A". Commas and "with" stay: they are part of names like
+// "Earth, Wind & Fire" or "Tyler, The Creator".
+function cleanArtist(artist) {
+  return String(artist || '').split(/\s+(?:feat\.?|ft\.?|featuring)\s+/i)[0].trim();
+}
+
+export const QUERY_MODES = [
+  { value: 'clean', label: 'Cleaned' },
+  { value: 'exact', label: 'Exact' },
+];
+
+// `style` is the provider's preference: 'dash' ("Artist - Title", what YouTube indexes) or 'plain' keywords.
+// Returns { query, artist, title } so URL templates can use the parts as well.
+export function buildSearchQuery(track, { mode = 'clean', style = 'plain' } = {}) {
+  const rawArtist = Array.isArray(track?.artists) ? track.artists[0] || '' : String(track?.artists || '');
+  const rawTitle = String(track?.title || '');
+  if (mode === 'exact') {
+    return { query: [rawArtist, rawTitle].filter(Boolean).join(' - '), artist: rawArtist, title: rawTitle };
+  }
+  // An artists array already lists the primary artist on its own
+  const artist = foldForSearch(Array.isArray(track?.artists) ? rawArtist : cleanArtist(rawArtist));
+  let title = foldForSearch(stripQueryNoise(stripTitleDecorations(foldForSearch(rawTitle))));
+  // Keyword search engines treat brackets and dashes as noise; the words inside (Live, Acoustic) still help
+  if (style === 'plain') title = title.replace(/[()[\]]/g, ' ').replace(/\s+-\s+/g, ' ').replace(/\s+/g, ' ').trim();
+  const query = style === 'dash' ? [artist, title].filter(Boolean).join(' - ') : [artist, title].filter(Boolean).join(' ');
+  return { query, artist, title };
+}
@@ -1,95 +1,381 @@
-import { getValidAccessToken } from './spotifyAuth.js'
+import { expireAccessToken, getActiveAccountId, getSessionState, getValidAccessToken } from './spotifyAuth.js'
 import { sanitizeTrack } from './sanitize.js'
 
-async function apiFetch(path, options = {}) {
-  const token = await getValidAccessToken({});
-  if (!token) throw new Error('Not authenticated with Spotify');
-  const res = await fetch(`https://api.spotify.com/v1${path}`, {
-    ...options,
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json',
-      ...(options.headers || {}),
-    },
-  });
-  if (res.status === 401) throw new Error('Unauthorized');
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Spotify API error ${res.status}: ${text}`);
+const API_BASE = 'https://api.spotify.com/v1';
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_CONCURRENCY = 4;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30_000;
+
+// Typed error for Spotify Web API failures so callers can branch on `kind`
+export class SpotifyApiError extends Error {
+  // `session` is the account's session state (see spotifyAuth.js) when the error is a 401
+  constructor(message, { status = null, endpoint = null, retryAfterMs = null, attempts = 1, session = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'SpotifyApiError';
+    this.status = status;
+    this.endpoint = endpoint;
+    this.retryAfterMs = retryAfterMs;
+    this.attempts = attempts;
+    this.session = session;
+  }
+
+  get kind() {
+    if (this.status === null) return 'network';
+    if (this.status === 401) return 'unauthorized';
+    if (this.status === 403) return 'forbidden';
+    if (this.status === 429) return 'rate_limited';
+    if (this.status >= 500) return 'server';
+    return 'client';
   }
-  return res.json();
+
+  get isRateLimited() {
+    return this.kind === 'rate_limited';
+  }
+
+  get isUnauthorized() {
+    return this.kind === 'unauthorized';
+  }
+}
+
+// Shared across all in-flight requests: once Spotify answers 429, every request waits
+let rateLimitedUntil = 0;
+
+function abortError() {
+  return new DOMException('The operation was aborted', 'AbortError');
 }
 
-export async function getCurrentUserProfile() {
-  return apiFetch('/me');
+export function isAbortError(e) {
+  return e?.name === 'AbortError';
 }
 
-export async function getAllCurrentUserPlaylists() {
-  const limit = 50;
-  let url = `/me/playlists?limit=${limit}`;
-  const all = [];
-  while (url) {
-    const page = await apiFetch(url.replace('https://api.spotify.com/v1', ''));
-    all.push(...(page.items || []));
-    url = page.next;
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(abortError());
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function parseRetryAfter(res) {
+  const header = res.headers.get('Retry-After');
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+function backoffDelay(attempt) {
+  const exp = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return exp / 2 + Math.random() * (exp / 2);
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function toPath(url) {
+  return url.startsWith(API_BASE) ? url.slice(API_BASE.length) : url;
+}
+
+async function apiFetch(path, options = {}) {
+  const { maxRetries = DEFAULT_MAX_RETRIES, signal, accountId = getActiveAccountId(), ...fetchOptions } = options;
+  const endpoint = toPath(path);
+  // A write that failed with a 5xx or a dropped connection may still have been applied, so only a 429 is retried
+  const idempotent = !fetchOptions.method || fetchOptions.method === 'GET';
+  let attempt = 0;
+  let renewed = false;
+  for (;;) {
+    const waitMs = rateLimitedUntil - Date.now();
+    if (waitMs > 0) await sleep(waitMs, signal);
+    if (signal?.aborted) throw abortError();
+
+    const token = await getValidAccessToken({ accountId });
+    if (!token) {
+      throw new SpotifyApiError('Not authenticated with Spotify', { status: 401, endpoint, attempts: attempt + 1, session: getSessionState(accountId) });
+    }
+
+    let res;
+    try {
+      res = await fetch(`${API_BASE}${endpoint}`, {
+        ...fetchOptions,
+        signal,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          ...(fetchOptions.headers || {}),
+        },
+      });
+    } catch (e) {
+      if (isAbortError(e)) throw e;
+      if (!idempotent || attempt >= maxRetries) {
+        throw new SpotifyApiError(`Network error while calling Spotify: ${e?.message || e}`, { endpoint, attempts: attempt + 1, cause: e });
+      }
+      await sleep(backoffDelay(attempt), signal);
+      attempt += 1;
+      continue;
+    }
+
+    if (res.ok) return res.status === 204 ? null : res.json();
+
+    // A token Spotify refuses before it runs out was revoked or replaced; renewing it once tells which
+    if (res.status === 401 && !renewed) {
+      renewed = true;
+      expireAccessToken(accountId);
+      continue;
+    }
+
+    const retryAfterMs = res.status === 429 ? parseRetryAfter(res) : null;
+    if (isRetryableStatus(res.status) && (idempotent || res.status === 429) && attempt < maxRetries) {
+      const delay = retryAfterMs ?? backoffDelay(attempt);
+      if (res.status === 429) rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + delay);
+      await sleep(delay, signal);
+      attempt += 1;
+      continue;
+    }
+
+    const text = await res.text().catch(() => '');
+    const message = res.status === 401 ? 'Unauthorized' : `Spotify API error ${res.status}: ${text}`;
+    const session = res.status === 401 ? getSessionState(accountId) : null;
+    throw new SpotifyApiError(message, { status: res.status, endpoint, retryAfterMs, attempts: attempt + 1, session });
   }
-  return all;
 }
 
-export async function getAllSavedTracks() {
-  const limit = 50;
-  let url = `/me/tracks?limit=${limit}`;
-  const all = [];
+// Runs `worker` over `items` with at most `concurrency` calls in flight, preserving order
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  const limit = Math.max(1, Math.min(concurrency || 1, items.length));
+  const runners = Array.from({ length: limit }, async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (e) {
+        // Stop the other runners from picking up new work
+        failed = true;
+        throw e;
+      }
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+// Follows `next` links; `stopAt(item)` ends pagination early at the first matching item (excluded)
+async function collectPages(firstUrl, { mapItem = (item) => item, signal, accountId, onProgress, stopAt } = {}) {
+  let url = firstUrl;
+  const items = [];
+  let total = null;
   while (url) {
-    const page = await apiFetch(url.replace('https://api.spotify.com/v1', ''));
-    const items = (page.items || []).map(sanitizeTrack);
-    all.push(...items);
+    const page = await apiFetch(url, { signal, accountId });
+    total = page.total ?? total;
+    for (const item of page.items || []) {
+      const mapped = mapItem(item);
+      if (stopAt?.(mapped)) {
+        onProgress?.({ fetched: items.length, total });
+        return { items, total, stopped: true };
+      }
+      items.push(mapped);
+    }
+    onProgress?.({ fetched: items.length, total });
     url = page.next;
   }
-  return all;
+  return { items, total, stopped: false };
 }
 
-export async function getAllPlaylistTracks(playlistId) {
-  const limit = 100;
-  let url = `/playlists/${encodeURIComponent(playlistId)}/tracks?limit=${limit}`;
-  const all = [];
-  while (url) {
-    const page = await apiFetch(url.replace('https://api.spotify.com/v1', ''));
-    const items = (page.items || []).map(sanitizeTrack);
-    all.push(...items);
-    url = page.next;
+async function paginate(firstUrl, options = {}) {
+  const { items } = await collectPages(firstUrl, options);
+  return items;
+}
+
+export async function getCurrentUserProfile(options = {}) {
+  return apiFetch('/me', { signal: options.signal, accountId: options.accountId });
+}
+
+export async function getAllCurrentUserPlaylists(options = {}) {
+  return paginate('/me/playlists?limit=50', options);
+}
+
+export async function getAllSavedTracks(options = {}) {
+  return paginate('/me/tracks?limit=50', { ...options, mapItem: sanitizeTrack });
+}
+
+export async function getAllPlaylistTracks(playlistId, options = {}) {
+  return paginate(`/playlists/${encodeURIComponent(playlistId)}/tracks?limit=100`, { ...options, mapItem: sanitizeTrack });
+}
+
+// Single write requests. Batching and snapshot threading are done by playlistWrites.js, which takes
+// these as its default `api` so it can run against a stand-in.
+
+export async function createPlaylist({ name, description = '', isPublic = false }, options = {}) {
+  return apiFetch('/me/playlists', {
+    method: 'POST',
+    body: JSON.stringify({ name, description, public: isPublic }),
+    signal: options.signal,
+    accountId: options.accountId,
+  });
+}
+
+// At most 100 URIs; without `position` they are appended. Resolves to { snapshot_id }.
+export async function addPlaylistItems(playlistId, uris, options = {}) {
+  const body = options.position == null ? { uris } : { uris, position: options.position };
+  return apiFetch(`/playlists/${encodeURIComponent(playlistId)}/tracks`, {
+    method: 'POST',
+    body: JSON.stringify(body),
+    signal: options.signal,
+    accountId: options.accountId,
+  });
+}
+
+// At most 100 URIs; every occurrence of each URI is removed. Resolves to { snapshot_id }.
+export async function removePlaylistItems(playlistId, uris, options = {}) {
+  const body = { tracks: uris.map((uri) => ({ uri })) };
+  if (options.snapshotId) body.snapshot_id = options.snapshotId;
+  return apiFetch(`/playlists/${encodeURIComponent(playlistId)}/tracks`, {
+    method: 'DELETE',
+    body: JSON.stringify(body),
+    signal: options.signal,
+    accountId: options.accountId,
+  });
+}
+
+export async function getPlaylistSnapshotId(playlistId, options = {}) {
+  const playlist = await apiFetch(`/playlists/${encodeURIComponent(playlistId)}?fields=snapshot_id`, {
+    signal: options.signal,
+    accountId: options.accountId,
+  });
+  return playlist?.snapshot_id || null;
+}
+
+export const LIKED_SONGS_ID = 'liked-songs-virtual';
+
+function likedKey(t) {
+  return `${t.uri || ''}|${t.added_at || ''}`;
+}
+
+// Liked songs are newest-first, so only the head of the list has to be fetched when a cached copy exists.
+// Falls back to a full fetch when the totals don't add up (something was un-liked).
+async function getSavedTracksIncremental(cachedTracks, { signal, accountId, onProgress }) {
+  const known = new Set((cachedTracks || []).filter((t) => t.added_at).map(likedKey));
+  if (!known.size) return { tracks: await getAllSavedTracks({ signal, accountId, onProgress }), added: null };
+  const { items, total, stopped } = await collectPages('/me/tracks?limit=50', {
+    mapItem: sanitizeTrack,
+    signal,
+    accountId,
+    onProgress,
+    stopAt: (t) => known.has(likedKey(t)),
+  });
+  if (stopped && total === items.length + cachedTracks.length) {
+    return { tracks: items.concat(cachedTracks), added: items.length };
   }
-  return all;
+  return { tracks: await getAllSavedTracks({ signal, accountId, onProgress }), added: null };
+}
+
+// Cached playlists carry their `tracks`, or `loadTracks()` to read them only when they are reused
+async function cachedTracks(cached) {
+  if (!cached) return undefined;
+  return Array.isArray(cached.tracks) ? cached.tracks : cached.loadTracks?.();
 }
 
-export async function getPlaylistsWithTracks() {
-  const playlists = await getAllCurrentUserPlaylists();
+// Progress is reported as { playlistsDone, playlistsTotal, tracksFetched, currentPlaylist }.
+// Pass the previously cached playlists as `previous` to only refetch playlists whose snapshot_id changed.
+// `accountId` picks the signed-in account to read (the active one by default).
+// Resolves to { playlists, changes } where changes lists the playlist names added/updated/deleted.
+export async function getPlaylistsWithTracks(options = {}) {
+  const { concurrency = DEFAULT_CONCURRENCY, signal, accountId, onProgress, previous = null } = options;
+  const progress = { playlistsDone: 0, playlistsTotal: null, tracksFetched: 0, currentPlaylist: null };
+  const report = (patch) => {
+    Object.assign(progress, patch);
+    onProgress?.({ ...progress });
+  };
+  const previousById = new Map((previous || []).filter((p) => p?.id).map((p) => [p.id, p]));
+  const changes = { added: [], updated: [], deleted: [], unchanged: 0, likedAdded: null };
+
+  const playlists = await getAllCurrentUserPlaylists({
+    signal,
+    accountId,
+    onProgress: ({ total }) => report({ playlistsTotal: total }),
+  });
+  // Liked songs count as one extra "playlist" in the totals
+  report({ playlistsTotal: playlists.length + 1, currentPlaylist: 'Liked Songs' });
+
   const result = [];
+  const likedPlaylist = (tracks) => ({
+    id: LIKED_SONGS_ID,
+    name: 'liked songs ⭐',
+    owner: null,
+    tracks,
+    raw: { type: 'virtual', source: 'liked_songs' },
+  });
+  const cachedLiked = await cachedTracks(previousById.get(LIKED_SONGS_ID));
+  let likedFetched = 0;
   try {
-    const liked = await getAllSavedTracks();
-    result.push({
-      id: 'liked-songs-virtual',
-      name: 'liked songs ⭐',
-      owner: null,
-      tracks: liked,
-      raw: { type: 'virtual', source: 'liked_songs' },
+    const { tracks: liked, added } = await getSavedTracksIncremental(cachedLiked, {
+      signal,
+      accountId,
+      onProgress: ({ fetched }) => {
+        report({ tracksFetched: progress.tracksFetched + fetched - likedFetched });
+        likedFetched = fetched;
+      },
     });
+    changes.likedAdded = added;
+    result.push(likedPlaylist(liked));
   } catch (e) {
-    // ignore
+    // Liked songs are optional (missing scope etc.), but a rate limit, expired session or cancel is not
+    if (isAbortError(e)) throw e;
+    if (e instanceof SpotifyApiError && (e.isRateLimited || e.isUnauthorized)) throw e;
+    // The cached copy stays until they can be read again, so the next save doesn't drop them
+    if (cachedLiked) result.push(likedPlaylist(cachedLiked));
   }
-  for (const p of playlists) {
-    const tracks = await getAllPlaylistTracks(p.id);
-    result.push({
+  report({ playlistsDone: progress.playlistsDone + 1 });
+
+  const withTracks = await mapWithConcurrency(playlists, concurrency, async (p) => {
+    const cached = previousById.get(p.id);
+    let tracks = cached && p.snapshot_id && cached.snapshotId === p.snapshot_id ? await cachedTracks(cached) : undefined;
+    if (Array.isArray(tracks)) {
+      changes.unchanged += 1;
+    } else {
+      report({ currentPlaylist: p.name });
+      let fetchedSoFar = 0;
+      tracks = await getAllPlaylistTracks(p.id, {
+        signal,
+        accountId,
+        onProgress: ({ fetched }) => {
+          report({ tracksFetched: progress.tracksFetched + fetched - fetchedSoFar });
+          fetchedSoFar = fetched;
+        },
+      });
+      if (previous) (cached ? changes.updated : changes.added).push(p.name);
+    }
+    report({ playlistsDone: progress.playlistsDone + 1 });
+    return {
       id: p.id,
       name: p.name,
       owner: p.owner?.display_name || p.owner?.id || null,
+      snapshotId: p.snapshot_id || null,
       tracks,
       raw: {
         owner: p.owner ? { id: p.owner.id || null, display_name: p.owner.display_name || null } : undefined,
       },
-    });
+    };
+  });
+  result.push(...withTracks);
+
+  if (previous) {
+    const currentIds = new Set(result.map((p) => p.id));
+    for (const p of previous) {
+      if (p?.id && !currentIds.has(p.id)) changes.deleted.push(p.name);
+    }
   }
-  return result;
+  return { playlists: result, changes: previous ? changes : null };
 }
-
-
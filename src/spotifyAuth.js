@@ -1,14 +1,56 @@
 // Lightweight Spotify PKCE OAuth utilities for browser-only apps
 // Uses localStorage for transient state. No server required.
+// Several accounts can be signed in at once; each keeps its own tokens under its Spotify user id.
+// Tokens and the active account go through vault.js, which encrypts them when a passphrase is set.
+// Each account's session is in one of SESSION_STATES; onSessionChange reports every transition.
+
+import { readSecret, writeSecret } from './vault.js';
 
 const LS_KEYS = {
   codeVerifier: 'spotify_pkce_code_verifier',
   state: 'spotify_oauth_state',
+  // Spotify user id -> { id, displayName, accessToken, expiresAt, refreshToken, scopes }
+  accounts: 'spotify_accounts_v1',
+  activeAccount: 'spotify_active_account',
+};
+
+// Where earlier versions kept their single token set; adopted as an account by adoptLegacyTokens()
+const LEGACY_TOKEN_KEYS = {
   token: 'spotify_access_token',
   tokenExpiry: 'spotify_access_token_expiry',
   refreshToken: 'spotify_refresh_token',
+  scopes: 'spotify_granted_scopes',
 };
 
+// What vault.js has to keep encrypted, including a legacy token set that hasn't been adopted yet
+export const TOKEN_STORAGE_KEYS = [LS_KEYS.accounts, LS_KEYS.activeAccount, ...Object.values(LEGACY_TOKEN_KEYS)];
+
+// Access tokens are renewed this long before they run out, and treated as expired within the last 30 seconds
+const REFRESH_AHEAD_MS = 5 * 60 * 1000;
+const EXPIRY_MARGIN_MS = 30_000;
+// How long to wait before renewing again when the token endpoint couldn't be reached
+const REFRESH_RETRY_MS = 60_000;
+
+// signed-out: no such account. active: holds a usable access token, or a refresh token that gets a new one on
+// the next call. refreshing: renewing it right now. expired: the access token ran out and can't be renewed yet
+// (no refresh token, or the last attempt couldn't reach Spotify).
+// revoked: Spotify rejected the refresh token, e.g. because access was removed in the account settings.
+export const SESSION_STATES = ['signed-out', 'active', 'refreshing', 'expired', 'revoked'];
+
+// Why signing in or renewing a session failed: `code` is 'access_denied', 'state_mismatch', 'missing_verifier',
+// 'token_exchange', 'network' or 'revoked'
+export class SpotifyAuthError extends Error {
+  constructor(message, { code, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'SpotifyAuthError';
+    this.code = code;
+  }
+}
+
+export const READ_SCOPES = 'playlist-read-private playlist-read-collaborative user-library-read';
+// Only requested when the user opts into creating or editing playlists
+export const WRITE_SCOPES = 'playlist-modify-private playlist-modify-public';
+
 function getBaseUrl() {
   return window.location.origin + window.location.pathname;
 }
@@ -33,26 +75,105 @@ function generateRandomString(length) {
   return Array.from(array, (byte) => ('0' + byte.toString(16)).slice(-2)).join('');
 }
 
-export function getStoredAccessToken() {
-  const token = localStorage.getItem(LS_KEYS.token);
-  const expiry = Number(localStorage.getItem(LS_KEYS.tokenExpiry) || 0);
-  if (!token || !expiry) return null;
-  if (Date.now() >= expiry - 30_000) return null; // consider expired if <30s left
-  return token;
+// accountId -> in-flight refresh promise, so parallel API calls share one token request
+const refreshes = new Map();
+// Accounts whose last refresh failed for a reason other than a rejected refresh token
+const failedRefreshes = new Set();
+// accountId -> timer of the proactive refresh, while keepSessionsFresh() runs
+const refreshTimers = new Map();
+let keepingFresh = false;
+const sessionListeners = new Set();
+
+function notifySession() {
+  for (const listener of sessionListeners) listener();
+}
+
+// `listener()` runs whenever an account's session state may have changed; returns an unsubscribe function
+export function onSessionChange(listener) {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+}
+
+function readAccounts() {
+  try {
+    const accounts = JSON.parse(readSecret(LS_KEYS.accounts) || '{}');
+    return accounts && typeof accounts === 'object' ? accounts : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeAccounts(accounts) {
+  writeSecret(LS_KEYS.accounts, JSON.stringify(accounts));
+  notifySession();
+}
+
+// [{ id, displayName }] in the order the accounts were added
+export function listAccounts() {
+  return Object.values(readAccounts()).map((a) => ({ id: a.id, displayName: a.displayName || a.id }));
+}
+
+// The account API calls use unless they pass their own `accountId`; falls back to the first one signed in
+export function getActiveAccountId() {
+  const accounts = readAccounts();
+  const active = readSecret(LS_KEYS.activeAccount);
+  return active && accounts[active] ? active : Object.keys(accounts)[0] || null;
+}
+
+export function setActiveAccount(accountId) {
+  writeSecret(LS_KEYS.activeAccount, accountId);
 }
 
-export function hasRefreshToken() {
-  return !!localStorage.getItem(LS_KEYS.refreshToken);
+export function getStoredAccessToken(accountId = getActiveAccountId()) {
+  const account = accountId ? readAccounts()[accountId] : null;
+  if (!account?.accessToken || !account.expiresAt) return null;
+  if (Date.now() >= account.expiresAt - EXPIRY_MARGIN_MS) return null;
+  return account.accessToken;
 }
 
-export function clearTokens() {
-  for (const key of Object.values(LS_KEYS)) localStorage.removeItem(key);
+// One of SESSION_STATES
+export function getSessionState(accountId = getActiveAccountId()) {
+  const account = accountId ? readAccounts()[accountId] : null;
+  if (!account) return 'signed-out';
+  if (refreshes.has(accountId)) return 'refreshing';
+  if (account.revoked) return 'revoked';
+  if (getStoredAccessToken(accountId)) return 'active';
+  return account.refreshToken && !failedRefreshes.has(accountId) ? 'active' : 'expired';
 }
 
+function forgetLegacyTokens() {
+  for (const key of Object.values(LEGACY_TOKEN_KEYS)) {
+    if (readSecret(key) != null) writeSecret(key, null);
+  }
+}
+
+// Signs one account out (the active one by default); the others stay signed in
+export function clearTokens(accountId = getActiveAccountId()) {
+  clearTimeout(refreshTimers.get(accountId));
+  refreshTimers.delete(accountId);
+  failedRefreshes.delete(accountId);
+  const accounts = readAccounts();
+  if (accountId) delete accounts[accountId];
+  writeAccounts(accounts);
+  if (readSecret(LS_KEYS.activeAccount) === accountId) writeSecret(LS_KEYS.activeAccount, null);
+  forgetLegacyTokens();
+}
+
+// Scopes granted with the account's current token, as reported by the token endpoint
+export function hasWriteAccess(accountId = getActiveAccountId()) {
+  const granted = new Set((accountId ? readAccounts()[accountId]?.scopes || '' : '').split(/\s+/));
+  return WRITE_SCOPES.split(' ').every((scope) => granted.has(scope));
+}
+
+// `write: true` adds WRITE_SCOPES; Spotify asks the user to approve the extra permissions.
+// `showDialog: true` makes Spotify show its consent screen (with "Not you?") instead of silently
+// reusing the account that is signed in on spotify.com.
 export async function beginLogin(options = {}) {
   const {
     clientId = import.meta.env.VITE_SPOTIFY_CLIENT_ID,
-    scopes = 'playlist-read-private playlist-read-collaborative user-library-read',
+    write = false,
+    showDialog = false,
+    scopes = write ? `${READ_SCOPES} ${WRITE_SCOPES}` : READ_SCOPES,
     redirectUri = import.meta.env.VITE_SPOTIFY_REDIRECT_URI || getBaseUrl(),
   } = options;
 
@@ -74,14 +195,24 @@ export async function beginLogin(options = {}) {
     code_challenge: codeChallenge,
     state,
   });
+  if (showDialog) params.set('show_dialog', 'true');
 
   window.location.assign('https://accounts.spotify.com/authorize?' + params.toString());
 }
 
-async function exchangeCodeForToken(code, { clientId, redirectUri }) {
-  const codeVerifier = localStorage.getItem(LS_KEYS.codeVerifier);
-  if (!codeVerifier) throw new Error('Missing PKCE code_verifier');
+async function postToken(body) {
+  try {
+    return await fetch('https://accounts.spotify.com/api/token', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body,
+    });
+  } catch (e) {
+    throw new SpotifyAuthError('Could not reach Spotify. Check your connection and try again.', { code: 'network', cause: e });
+  }
+}
 
+async function exchangeCodeForToken(code, codeVerifier, { clientId, redirectUri }) {
   const body = new URLSearchParams({
     grant_type: 'authorization_code',
     code,
@@ -90,42 +221,134 @@ async function exchangeCodeForToken(code, { clientId, redirectUri }) {
     code_verifier: codeVerifier,
   });
 
-  const res = await fetch('https://accounts.spotify.com/api/token', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body,
-  });
-  if (!res.ok) throw new Error('Token exchange failed');
-  const json = await res.json();
-  storeTokenResponse(json);
+  const res = await postToken(body);
+  if (!res.ok) throw new SpotifyAuthError('Spotify didn’t accept the sign-in. Please try again.', { code: 'token_exchange' });
+  return res.json();
 }
 
-function storeTokenResponse(json) {
-  const now = Date.now();
-  if (json.access_token) localStorage.setItem(LS_KEYS.token, json.access_token);
-  if (json.expires_in) localStorage.setItem(LS_KEYS.tokenExpiry, String(now + json.expires_in * 1000));
-  if (json.refresh_token) localStorage.setItem(LS_KEYS.refreshToken, json.refresh_token);
+// spotifyApi.js picks a token by account id, which is exactly what isn't known yet for a fresh token
+async function fetchProfile(accessToken) {
+  let res;
+  try {
+    res = await fetch('https://api.spotify.com/v1/me', { headers: { Authorization: `Bearer ${accessToken}` } });
+  } catch (e) {
+    throw new SpotifyAuthError('Could not reach Spotify. Check your connection and try again.', { code: 'network', cause: e });
+  }
+  if (res.status >= 500) throw new SpotifyAuthError(`Spotify couldn’t identify the account (error ${res.status}). Try again in a moment.`, { code: 'network' });
+  if (!res.ok) throw new Error('Could not identify the Spotify account');
+  return res.json();
 }
 
-async function refreshAccessToken({ clientId }) {
-  const refreshToken = localStorage.getItem(LS_KEYS.refreshToken);
-  if (!refreshToken) return null;
+// Spotify only sends a new refresh token (and scope list) sometimes; otherwise the previous ones stay valid
+function storeTokenResponse(accountId, json, profile = null) {
+  const accounts = readAccounts();
+  const previous = accounts[accountId] || { id: accountId };
+  accounts[accountId] = {
+    ...previous,
+    displayName: profile ? profile.display_name || profile.id : previous.displayName,
+    accessToken: json.access_token || previous.accessToken,
+    expiresAt: json.expires_in ? Date.now() + json.expires_in * 1000 : previous.expiresAt,
+    refreshToken: json.refresh_token || previous.refreshToken,
+    scopes: typeof json.scope === 'string' ? json.scope : previous.scopes,
+    revoked: false,
+  };
+  failedRefreshes.delete(accountId);
+  writeAccounts(accounts);
+  if (keepingFresh) scheduleRefresh(accountId);
+}
+
+// Keeps the account listed, so the UI can say whose access ended, but drops tokens that no longer work
+function markRevoked(accountId) {
+  const accounts = readAccounts();
+  if (!accounts[accountId]) return;
+  accounts[accountId] = { ...accounts[accountId], accessToken: null, expiresAt: 0, refreshToken: null, revoked: true };
+  writeAccounts(accounts);
+}
+
+// Resolves to the token endpoint's JSON, or null when the refresh token was rejected.
+// Throws a SpotifyAuthError with code 'network' when Spotify couldn't be reached or failed to answer.
+async function requestRefresh(refreshToken, clientId) {
   const body = new URLSearchParams({
     grant_type: 'refresh_token',
     refresh_token: refreshToken,
     client_id: clientId,
   });
-  const res = await fetch('https://accounts.spotify.com/api/token', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body,
-  });
-  if (!res.ok) return null;
-  const json = await res.json();
-  storeTokenResponse(json);
+  const res = await postToken(body);
+  if (res.ok) return res.json();
+  // 400 invalid_grant (or 401 for a client that no longer exists): retrying won't help
+  if (res.status === 400 || res.status === 401) return null;
+  throw new SpotifyAuthError(`Spotify couldn’t renew the session (error ${res.status}). Try again in a moment.`, { code: 'network' });
+}
+
+async function refreshAccessToken({ clientId, accountId }) {
+  const refreshToken = accountId ? readAccounts()[accountId]?.refreshToken : null;
+  if (!refreshToken) return null;
+  const json = await requestRefresh(refreshToken, clientId);
+  if (!json) {
+    markRevoked(accountId);
+    return null;
+  }
+  storeTokenResponse(accountId, json);
   return json.access_token || null;
 }
 
+// Single flight: callers that need a new token while one is being fetched wait for the same request
+function refreshOnce(accountId, clientId) {
+  if (!refreshes.has(accountId)) {
+    const refresh = refreshAccessToken({ clientId, accountId }).catch((e) => {
+      failedRefreshes.add(accountId);
+      throw e;
+    }).finally(() => {
+      refreshes.delete(accountId);
+      notifySession();
+    });
+    refreshes.set(accountId, refresh);
+    notifySession();
+  }
+  return refreshes.get(accountId);
+}
+
+function scheduleRefresh(accountId, clientId = import.meta.env.VITE_SPOTIFY_CLIENT_ID) {
+  clearTimeout(refreshTimers.get(accountId));
+  refreshTimers.delete(accountId);
+  const account = readAccounts()[accountId];
+  if (!keepingFresh || !account?.refreshToken) return;
+  const delay = Math.max(0, (account.expiresAt || 0) - REFRESH_AHEAD_MS - Date.now());
+  refreshTimers.set(accountId, setTimeout(() => {
+    refreshTimers.delete(accountId);
+    // A successful refresh schedules the next one through storeTokenResponse
+    refreshOnce(accountId, clientId).catch(() => {
+      if (keepingFresh) refreshTimers.set(accountId, setTimeout(() => scheduleRefresh(accountId, clientId), REFRESH_RETRY_MS));
+    });
+  }, delay));
+}
+
+// Renews every signed-in account's access token a few minutes before it runs out (right away when it already
+// has), so sessions stay active while the app is open. Returns a function that stops it.
+export function keepSessionsFresh() {
+  keepingFresh = true;
+  for (const accountId of Object.keys(readAccounts())) scheduleRefresh(accountId);
+  return () => {
+    keepingFresh = false;
+    for (const timer of refreshTimers.values()) clearTimeout(timer);
+    refreshTimers.clear();
+  };
+}
+
+// For an access token Spotify refused although it hadn't run out: the next call renews it
+export function expireAccessToken(accountId = getActiveAccountId()) {
+  const accounts = readAccounts();
+  if (!accounts[accountId]?.accessToken) return;
+  accounts[accountId] = { ...accounts[accountId], accessToken: null, expiresAt: 0 };
+  writeAccounts(accounts);
+}
+
+function cleanCallbackUrl(url) {
+  for (const param of ['code', 'state', 'iss', 'error', 'error_description']) url.searchParams.delete(param);
+  window.history.replaceState({}, document.title, url.toString());
+}
+
+// Resolves to the signed-in profile ({ id, display_name }), which becomes the active account, or null without a callback
 export async function handleRedirectCallback(options = {}) {
   const {
     clientId = import.meta.env.VITE_SPOTIFY_CLIENT_ID,
@@ -133,25 +356,68 @@ export async function handleRedirectCallback(options = {}) {
   } = options;
   const url = new URL(window.location.href);
   const code = url.searchParams.get('code');
+  const error = url.searchParams.get('error');
+  if (!code && !error) return null;
   const state = url.searchParams.get('state');
   const storedState = localStorage.getItem(LS_KEYS.state);
-  if (!code) return false;
-  if (!state || state !== storedState) throw new Error('State mismatch');
-  await exchangeCodeForToken(code, { clientId, redirectUri });
-  // Clean params from URL
-  url.searchParams.delete('code');
-  url.searchParams.delete('state');
-  url.searchParams.delete('iss');
-  window.history.replaceState({}, document.title, url.toString());
-  return true;
+  const codeVerifier = localStorage.getItem(LS_KEYS.codeVerifier);
+  // Each verifier and state is good for one attempt, whatever its outcome; a reload must not replay the code
+  localStorage.removeItem(LS_KEYS.codeVerifier);
+  localStorage.removeItem(LS_KEYS.state);
+  cleanCallbackUrl(url);
+
+  if (error === 'access_denied') throw new SpotifyAuthError('Spotify sign-in was cancelled, so nothing was connected.', { code: 'access_denied' });
+  if (error) throw new SpotifyAuthError(`Spotify sign-in failed (${error}). Please try again.`, { code: error });
+  if (!state || state !== storedState) {
+    throw new SpotifyAuthError('This sign-in didn’t start from this browser tab or has already been used. Please connect again.', { code: 'state_mismatch' });
+  }
+  if (!codeVerifier) throw new SpotifyAuthError('The sign-in expired before it finished. Please connect again.', { code: 'missing_verifier' });
+  const json = await exchangeCodeForToken(code, codeVerifier, { clientId, redirectUri });
+  const profile = await fetchProfile(json.access_token);
+  storeTokenResponse(profile.id, json, profile);
+  setActiveAccount(profile.id);
+  return { id: profile.id, display_name: profile.display_name || null };
 }
 
-export async function getValidAccessToken(options = {}) {
+// Moves a token set saved by an earlier single-account version into the account list.
+// Left in place only when Spotify can't be reached, so it is tried again on the next load; tokens Spotify
+// rejects (or an expired one without a refresh token) are deleted.
+export async function adoptLegacyTokens(options = {}) {
   const { clientId = import.meta.env.VITE_SPOTIFY_CLIENT_ID } = options;
-  const token = getStoredAccessToken();
-  if (token) return token;
-  const refreshed = await refreshAccessToken({ clientId });
-  return refreshed;
+  const refreshToken = readSecret(LEGACY_TOKEN_KEYS.refreshToken);
+  const accessToken = readSecret(LEGACY_TOKEN_KEYS.token);
+  if (!accessToken && !refreshToken) return null;
+  const expiresAt = Number(readSecret(LEGACY_TOKEN_KEYS.tokenExpiry) || 0);
+  let json = {
+    access_token: accessToken,
+    expires_in: Math.max(0, (expiresAt - Date.now()) / 1000),
+    refresh_token: refreshToken,
+    scope: readSecret(LEGACY_TOKEN_KEYS.scopes),
+  };
+  let profile;
+  try {
+    if (Date.now() >= expiresAt - EXPIRY_MARGIN_MS) {
+      const refreshed = refreshToken ? await requestRefresh(refreshToken, clientId) : null;
+      if (!refreshed) {
+        forgetLegacyTokens();
+        return null;
+      }
+      json = { refresh_token: refreshToken, ...refreshed };
+    }
+    profile = await fetchProfile(json.access_token);
+  } catch (e) {
+    if (!(e instanceof SpotifyAuthError && e.code === 'network')) forgetLegacyTokens();
+    throw e;
+  }
+  storeTokenResponse(profile.id, json, profile);
+  if (!readSecret(LS_KEYS.activeAccount)) setActiveAccount(profile.id);
+  forgetLegacyTokens();
+  return { id: profile.id, display_name: profile.display_name || null };
 }
 
-
+export async function getValidAccessToken(options = {}) {
+  const { clientId = import.meta.env.VITE_SPOTIFY_CLIENT_ID, accountId = getActiveAccountId() } = options;
+  const token = getStoredAccessToken(accountId);
+  if (token || !accountId) return token;
+  return refreshOnce(accountId, clientId);
+}
@@ -0,0 +1,124 @@
+// Parsers for the files in Spotify's "Download your data" (privacy) export.
+// Both map into the same normalized track model produced by normalizeData:
+// { title, artists, album, addedAt, uri, durationMs, raw }
+
+export const LIKED_SONGS_NAME = 'Liked Songs';
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Playlist1.json: { playlists: [{ name, lastModifiedDate, items: [{ track: { trackName, ... }, addedDate }] }] }
+export function isSpotifyPlaylistExport(data) {
+  if (!isPlainObject(data) || !Array.isArray(data.playlists)) return false;
+  return data.playlists.some((p) => (
+    'lastModifiedDate' in (p || {}) ||
+    (Array.isArray(p?.items) && p.items.some((i) => i && ('addedDate' in i || 'localTrack' in i || i.track?.trackName !== undefined)))
+  ));
+}
+
+// YourLibrary.json: { tracks: [{ artist, album, track, uri }], albums: [{ artist, album, uri }], artists: [{ name, uri }], ... }
+export function isSpotifyLibraryExport(data) {
+  if (!isPlainObject(data) || Array.isArray(data.playlists)) return false;
+  const tracksLookRight = Array.isArray(data.tracks) && (data.tracks.length === 0 || data.tracks.some((t) => t && 'track' in t && 'artist' in t));
+  const hasLibraryKeys = ['albums', 'artists', 'shows', 'episodes', 'bannedTracks'].some((k) => Array.isArray(data[k]));
+  return tracksLookRight && hasLibraryKeys;
+}
+
+// Local files are exported as spotify:local:<artist>:<album>:<title>:<seconds>, each part URL-encoded with '+' for spaces
+function parseLocalUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith('spotify:local:')) return null;
+  const decode = (part) => {
+    try {
+      return decodeURIComponent((part || '').replace(/\+/g, ' '));
+    } catch {
+      return part || '';
+    }
+  };
+  const [artist, album, title, seconds] = uri.slice('spotify:local:'.length).split(':').map(decode);
+  return {
+    title: title || 'Unknown',
+    artists: artist ? [artist] : [],
+    album: album || null,
+    durationMs: Number(seconds) > 0 ? Number(seconds) * 1000 : null,
+  };
+}
+
+function playlistExportItemToTrack(item) {
+  const addedAt = item?.addedDate || null;
+  if (item?.track) {
+    const t = item.track;
+    return {
+      title: t.trackName || 'Unknown',
+      artists: t.artistName ? [t.artistName] : [],
+      album: t.albumName || null,
+      addedAt,
+      uri: t.trackUri || null,
+      durationMs: null,
+      raw: item,
+    };
+  }
+  if (item?.episode) {
+    const e = item.episode;
+    return {
+      title: e.episodeName || 'Unknown episode',
+      artists: e.showName ? [e.showName] : [],
+      album: e.showName || null,
+      addedAt,
+      uri: e.episodeUri || null,
+      durationMs: null,
+      raw: item,
+    };
+  }
+  if (item?.localTrack) {
+    const local = parseLocalUri(item.localTrack.uri) || { title: 'Unknown', artists: [], album: null, durationMs: null };
+    return { ...local, addedAt, uri: item.localTrack.uri || null, raw: item };
+  }
+  return null;
+}
+
+export function parseSpotifyPlaylistExport(data) {
+  return (data?.playlists || []).map((p) => ({
+    name: p?.name || 'Untitled playlist',
+    owner: null,
+    tracks: (Array.isArray(p?.items) ? p.items : []).map(playlistExportItemToTrack).filter(Boolean),
+    raw: {
+      type: 'export',
+      source: 'spotify_playlist_export',
+      lastModifiedDate: p?.lastModifiedDate || null,
+      description: p?.description || null,
+      numberOfFollowers: p?.numberOfFollowers ?? null,
+    },
+  }));
+}
+
+// Saved tracks become a virtual "Liked Songs" playlist; saved albums and followed artists are returned alongside.
+// The export carries no added date or duration for library entries.
+export function parseSpotifyLibraryExport(data) {
+  const tracks = (Array.isArray(data?.tracks) ? data.tracks : []).map((t) => ({
+    title: t?.track || 'Unknown',
+    artists: t?.artist ? [t.artist] : [],
+    album: t?.album || null,
+    addedAt: null,
+    uri: t?.uri || null,
+    durationMs: null,
+    raw: t,
+  }));
+  const albums = (Array.isArray(data?.albums) ? data.albums : []).map((a) => ({
+    name: a?.album || 'Unknown album',
+    artists: a?.artist ? [a.artist] : [],
+    uri: a?.uri || null,
+  }));
+  const artists = (Array.isArray(data?.artists) ? data.artists : []).map((a) => ({
+    name: a?.name || 'Unknown artist',
+    uri: a?.uri || null,
+  }));
+
+  const playlists = [{
+    name: LIKED_SONGS_NAME,
+    owner: null,
+    tracks,
+    raw: { type: 'virtual', source: 'liked_songs', origin: 'spotify_library_export' },
+  }];
+  return { playlists, savedAlbums: albums, followedArtists: artists };
+}
@@ -0,0 +1,189 @@
+// Streaming history from the Spotify data export, in both flavours:
+// - StreamingHistory_music_*.json / StreamingHistory*.json: [{ endTime, artistName, trackName, msPlayed }]
+// - Streaming_History_Audio_*.json / endsong_*.json (extended): [{ ts, ms_played, master_metadata_*, spotify_track_uri, skipped, reason_end, ... }]
+// Both are parsed into plays: { ts, msPlayed, title, artist, album, uri, skipped, completed }
+
+import { isLikedPlaylist } from './normalize.js';
+import { trackNameKey } from './trackIdentity.js';
+
+// Spotify itself only counts a stream after 30s, so shorter plays are treated as skips when no better signal exists
+const SKIP_THRESHOLD_MS = 30_000;
+
+function isBasicEntry(e) {
+  return !!e && typeof e === 'object' && 'endTime' in e && 'msPlayed' in e;
+}
+
+function isExtendedEntry(e) {
+  return !!e && typeof e === 'object' && 'ts' in e && 'ms_played' in e;
+}
+
+export function isStreamingHistory(data) {
+  if (!Array.isArray(data) || !data.length) return false;
+  const sample = data.slice(0, 5);
+  return sample.every(isBasicEntry) || sample.every(isExtendedEntry);
+}
+
+// `endTime` is "YYYY-MM-DD HH:mm" in UTC
+function parseEndTime(value) {
+  const ts = Date.parse(`${String(value).replace(' ', 'T')}Z`);
+  return Number.isFinite(ts) ? ts : null;
+}
+
+function fromBasic(e) {
+  if (!e.trackName || e.trackName === 'Unknown Track') return null;
+  const msPlayed = Number(e.msPlayed) || 0;
+  const end = parseEndTime(e.endTime);
+  return {
+    ts: end !== null ? end - msPlayed : null,
+    msPlayed,
+    title: e.trackName,
+    artist: e.artistName || null,
+    album: null,
+    uri: null,
+    skipped: msPlayed < SKIP_THRESHOLD_MS,
+    completed: msPlayed >= SKIP_THRESHOLD_MS,
+  };
+}
+
+function fromExtended(e) {
+  // Podcast episodes and audiobooks carry no master_metadata track name
+  if (!e.master_metadata_track_name) return null;
+  const msPlayed = Number(e.ms_played) || 0;
+  const end = Date.parse(e.ts);
+  const skipped = e.skipped === true || e.reason_end === 'fwdbtn' || (e.skipped == null && e.reason_end == null && msPlayed < SKIP_THRESHOLD_MS);
+  return {
+    ts: Number.isFinite(end) ? end - msPlayed : null,
+    msPlayed,
+    title: e.master_metadata_track_name,
+    artist: e.master_metadata_album_artist_name || null,
+    album: e.master_metadata_album_album_name || null,
+    uri: e.spotify_track_uri || null,
+    skipped,
+    completed: e.reason_end ? e.reason_end === 'trackdone' : !skipped,
+  };
+}
+
+export function parseStreamingHistory(data) {
+  if (!Array.isArray(data)) return [];
+  const plays = [];
+  for (const e of data) {
+    const play = isExtendedEntry(e) ? fromExtended(e) : isBasicEntry(e) ? fromBasic(e) : null;
+    if (play) plays.push(play);
+  }
+  return plays;
+}
+
+function playId(p) {
+  return `${p.ts}|${p.msPlayed}|${p.uri || ''}|${p.artist || ''}|${p.title}`;
+}
+
+// Merges play lists, dropping exact duplicates (the same file imported twice)
+export function mergePlays(...lists) {
+  const seen = new Set();
+  const merged = [];
+  for (const list of lists) {
+    for (const p of list || []) {
+      const id = playId(p);
+      if (seen.has(id)) continue;
+      seen.add(id);
+      merged.push(p);
+    }
+  }
+  return merged;
+}
+
+function trackMatchKey(artist, title) {
+  return trackNameKey({ artists: artist ? [artist] : [], title });
+}
+
+function monthOf(ts) {
+  const d = new Date(ts);
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+function topBy(map, field, limit) {
+  return Array.from(map.values()).sort((a, b) => b[field] - a[field]).slice(0, limit);
+}
+
+// Aggregates plays into the listening-stats view model. When `playlists` (normalized) are given,
+// plays are linked to library tracks by URI, falling back to artist+title.
+export function computeListeningStats(plays, { playlists = [], limit = 20 } = {}) {
+  const tracks = new Map();
+  const artists = new Map();
+  const months = new Map();
+  let totalMs = 0;
+  let skipped = 0;
+  let completed = 0;
+  let firstTs = null;
+  let lastTs = null;
+
+  for (const p of plays) {
+    totalMs += p.msPlayed;
+    if (p.skipped) skipped += 1;
+    if (p.completed) completed += 1;
+    if (p.ts !== null) {
+      firstTs = firstTs === null ? p.ts : Math.min(firstTs, p.ts);
+      lastTs = lastTs === null ? p.ts : Math.max(lastTs, p.ts);
+      const month = monthOf(p.ts);
+      const m = months.get(month) || { month, plays: 0, ms: 0 };
+      m.plays += 1;
+      m.ms += p.msPlayed;
+      months.set(month, m);
+    }
+
+    const key = trackMatchKey(p.artist, p.title);
+    const t = tracks.get(key) || { key, title: p.title, artist: p.artist, uri: p.uri, plays: 0, ms: 0, skipped: 0 };
+    t.plays += 1;
+    t.ms += p.msPlayed;
+    if (p.skipped) t.skipped += 1;
+    if (!t.uri && p.uri) t.uri = p.uri;
+    tracks.set(key, t);
+
+    if (p.artist) {
+      const a = artists.get(p.artist) || { artist: p.artist, plays: 0, ms: 0 };
+      a.plays += 1;
+      a.ms += p.msPlayed;
+      artists.set(p.artist, a);
+    }
+  }
+
+  const playedUris = new Set();
+  for (const t of tracks.values()) if (t.uri) playedUris.add(t.uri);
+  const wasPlayed = (t) => (t.uri && playedUris.has(t.uri)) || tracks.has(trackMatchKey(t.artists?.[0], t.title));
+
+  let libraryTracks = 0;
+  let linkedTracks = 0;
+  const seenLibrary = new Set();
+  for (const p of playlists) {
+    for (const t of p.tracks) {
+      const id = t.uri || trackMatchKey(t.artists?.[0], t.title);
+      if (seenLibrary.has(id)) continue;
+      seenLibrary.add(id);
+      libraryTracks += 1;
+      if (wasPlayed(t)) linkedTracks += 1;
+    }
+  }
+  const likedNeverPlayed = playlists
+    .filter(isLikedPlaylist)
+    .flatMap((p) => p.tracks)
+    .filter((t) => !wasPlayed(t));
+
+  return {
+    totalMs,
+    totalPlays: plays.length,
+    uniqueTracks: tracks.size,
+    uniqueArtists: artists.size,
+    firstTs,
+    lastTs,
+    skipped,
+    completed,
+    topTracksByPlays: topBy(tracks, 'plays', limit),
+    topTracksByMs: topBy(tracks, 'ms', limit),
+    topArtistsByPlays: topBy(artists, 'plays', limit),
+    topArtistsByMs: topBy(artists, 'ms', limit),
+    playsPerMonth: Array.from(months.values()).sort((a, b) => (a.month < b.month ? -1 : 1)),
+    libraryTracks,
+    linkedTracks,
+    likedNeverPlayed,
+  };
+}
@@ -0,0 +1,109 @@
+// Track identity helpers: the same song should get the same key whether it came from the API,
+// an export file or another tool, and regardless of "Remastered" / "feat." decorations.
+
+// Version tags that don't change which song it is. Live, remix, acoustic etc. are deliberately kept.
+const NOISE_PATTERNS = [
+  /remaster(ed)?/,
+  /^(feat|ft|featuring)\b/,
+  /^with\s/,
+  /radio edit|single version|album version|original version|single edit|edit version/,
+  /\bmono\b|\bstereo\b/,
+  /explicit|clean version|\bclean\b/,
+  /deluxe|bonus track|expanded edition|anniversary edition|special edition/,
+];
+
+function isNoise(segment) {
+  const s = segment.trim().toLowerCase();
+  return NOISE_PATTERNS.some((re) => re.test(s));
+}
+
+// Drops "(feat. X)", "[Remastered 2011]" and " - 2011 Remaster" style decorations from a title
+export function stripTitleDecorations(title) {
+  let s = String(title || '');
+  s = s.replace(/\s*[([]([^()[\]]*)[)\]]/g, (match, inner) => (isNoise(inner) ? '' : match));
+  // Dash suffixes are removed one at a time from the end: "Song - Live - 2011 Remaster" keeps " - Live"
+  for (;;) {
+    const m = /\s+[-–—]\s+([^-–—]+)$/.exec(s);
+    if (!m || !isNoise(m[1])) break;
+    s = s.slice(0, m.index);
+  }
+  return s.trim() || String(title || '').trim();
+}
+
+// Lowercase, strip accents and punctuation, "&" -> "and"
+export function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’`]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+export function primaryArtist(artists) {
+  if (Array.isArray(artists)) return artists[0] || '';
+  return String(artists || '').split(/,|;|\s+feat\.?\s+|\s+&\s+/i)[0] || '';
+}
+
+// Fuzzy key: normalized first artist + normalized, undecorated title
+export function trackNameKey(track) {
+  return `${normalizeText(primaryArtist(track?.artists))}|${normalizeText(stripTitleDecorations(track?.title))}`;
+}
+
+export function spotifyTrackUri(track) {
+  const uri = track?.uri;
+  return typeof uri === 'string' && uri.startsWith('spotify:track:') ? uri : null;
+}
+
+// Stable identity for a normalized track: the Spotify URI when known, else the fuzzy name key
+export function trackIdentity(track) {
+  const uri = spotifyTrackUri(track);
+  return uri ? `uri:${uri}` : `name:${trackNameKey(track)}`;
+}
+
+// Every key a track can be matched on: its URI (when it has one) and its name key.
+// Tracks with neither artist nor title get no name key, or they would all match each other.
+export function trackMatchKeys(track) {
+  const uri = spotifyTrackUri(track);
+  const keys = uri ? [`uri:${uri}`] : [];
+  const nameKey = trackNameKey(track);
+  if (nameKey !== '|' && nameKey !== '|unknown') keys.push(`name:${nameKey}`);
+  return keys;
+}
+
+// Groups items whose tracks share a URI or a name key. `getTrack(item)` returns the normalized track.
+// Returns an array of groups (arrays of items) in first-seen order.
+export function clusterTracks(items, getTrack = (item) => item) {
+  const parent = [];
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+  };
+
+  const byKey = new Map();
+  items.forEach((item, i) => {
+    parent[i] = i;
+    for (const key of trackMatchKeys(getTrack(item))) {
+      if (byKey.has(key)) union(i, byKey.get(key));
+      else byKey.set(key, i);
+    }
+  });
+
+  const groups = new Map();
+  items.forEach((item, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  });
+  return Array.from(groups.values());
+}
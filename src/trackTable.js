@@ -0,0 +1,106 @@
+// Column model, sorting and persisted layout for the playlist track table.
+// Rows are { track, position, status } so the original playlist position survives filtering and sorting.
+
+import { MIGRATION_STATUS_ORDER } from './migration.js';
+
+const LAYOUT_KEY_PREFIX = 'playlistory_track_table_v1';
+
+// `width` is a grid-template-columns track size. Title can't be hidden; the table would be useless without it.
+export const TRACK_COLUMNS = [
+  { id: 'position', label: '#', width: '2.5rem', sortable: true, align: 'right' },
+  { id: 'title', label: 'Title', width: '4fr', sortable: true, required: true },
+  { id: 'search', label: 'Search', width: 'auto', sortable: false },
+  { id: 'artist', label: 'Artist', width: '3fr', sortable: true },
+  { id: 'album', label: 'Album', width: '3fr', sortable: true },
+  { id: 'added', label: 'Added', width: '6.5rem', sortable: true },
+  { id: 'duration', label: 'Len', width: '3.5rem', sortable: true, align: 'right' },
+  { id: 'status', label: 'Status', width: '7rem', sortable: true },
+];
+
+export const DEFAULT_TRACK_TABLE_LAYOUT = {
+  sort: { column: 'position', direction: 'asc' },
+  hidden: [],
+};
+
+// 3:29 rather than a rounded "3m"; hours only when needed
+export function formatDuration(ms) {
+  if (!ms || ms < 0) return '';
+  const total = Math.round(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function addedTime(track) {
+  const time = track.addedAt ? Date.parse(track.addedAt) : NaN;
+  return Number.isFinite(time) ? time : null;
+}
+
+const SORT_VALUES = {
+  position: (row) => row.position,
+  title: (row) => row.track.title || null,
+  artist: (row) => row.track.artists.join(', ') || null,
+  album: (row) => row.track.album || null,
+  added: (row) => addedTime(row.track),
+  duration: (row) => row.track.durationMs || null,
+  status: (row) => MIGRATION_STATUS_ORDER[row.status] ?? null,
+};
+
+const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+// Missing values always sort last, whatever the direction; ties keep playlist order
+export function sortTrackRows(rows, sort) {
+  const getValue = SORT_VALUES[sort?.column];
+  if (!getValue || (sort.column === 'position' && sort.direction !== 'desc')) return rows;
+  const factor = sort.direction === 'desc' ? -1 : 1;
+  const keyed = rows.map((row) => ({ row, value: getValue(row) }));
+  keyed.sort((a, b) => {
+    if (a.value === null || b.value === null) {
+      if (a.value === b.value) return a.row.position - b.row.position;
+      return a.value === null ? 1 : -1;
+    }
+    const cmp = typeof a.value === 'string' ? collator.compare(a.value, b.value) : a.value - b.value;
+    return cmp * factor || a.row.position - b.row.position;
+  });
+  return keyed.map((k) => k.row);
+}
+
+// Clicking the sorted column flips its direction; a new column starts ascending
+export function nextSort(sort, column) {
+  if (sort?.column === column) return { column, direction: sort.direction === 'asc' ? 'desc' : 'asc' };
+  return { column, direction: 'asc' };
+}
+
+export function visibleColumns(layout) {
+  const hidden = new Set(layout?.hidden || []);
+  return TRACK_COLUMNS.filter((c) => c.required || !hidden.has(c.id));
+}
+
+function layoutKey(userId) {
+  return `${LAYOUT_KEY_PREFIX}:${userId || 'anonymous'}`;
+}
+
+// Layouts are stored per Spotify user id; file-only sessions share the "anonymous" slot
+export function loadTrackTableLayout(userId) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(layoutKey(userId)) || 'null');
+    if (!stored || typeof stored !== 'object') return DEFAULT_TRACK_TABLE_LAYOUT;
+    const sort = SORT_VALUES[stored.sort?.column] && ['asc', 'desc'].includes(stored.sort?.direction)
+      ? { column: stored.sort.column, direction: stored.sort.direction }
+      : DEFAULT_TRACK_TABLE_LAYOUT.sort;
+    const known = new Set(TRACK_COLUMNS.map((c) => c.id));
+    const hidden = Array.isArray(stored.hidden) ? stored.hidden.filter((id) => known.has(id)) : [];
+    return { sort, hidden };
+  } catch {
+    return DEFAULT_TRACK_TABLE_LAYOUT;
+  }
+}
+
+export function saveTrackTableLayout(userId, layout) {
+  try {
+    localStorage.setItem(layoutKey(userId), JSON.stringify({ sort: layout.sort, hidden: layout.hidden }));
+  } catch {
+    // Private mode or a full quota: the layout just won't survive a reload
+  }
+}
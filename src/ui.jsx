@@ -0,0 +1,47 @@
+// Small presentational components shared by the views
+
+import { ACCEPTED_EXTENSIONS } from './importFormats.js'
+
+export function StatBadge({ label, value }) {
+  return (
+    <div className="stat-badge">
+      <div className="stat-badge__label">{label}</div>
+      <div className="stat-badge__value">{value}</div>
+    </div>
+  )
+}
+
+export function SegmentedControl({ options, value, onChange, label }) {
+  return (
+    <div className="segmented" role="group" aria-label={label}>
+      {options.map((o) => (
+        <button
+          key={o.value}
+          className={o.value === value ? 'segmented__item is-active' : 'segmented__item'}
+          aria-pressed={o.value === value}
+          onClick={() => onChange(o.value)}
+        >
+          {o.label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+// Hidden file picker; put it inside a <label> that acts as the button
+export function FileInput({ onFiles }) {
+  return (
+    <input
+      type="file"
+      multiple
+      accept={ACCEPTED_EXTENSIONS.map((ext) => `.${ext}`).join(',')}
+      className="hidden"
+      onChange={(e) => {
+        const files = Array.from(e.target.files || [])
+        // Reset so choosing the same file again still fires onChange
+        e.target.value = ''
+        if (files.length) onFiles(files)
+      }}
+    />
+  )
+}
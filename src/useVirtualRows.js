@@ -0,0 +1,101 @@
+// Windowed rendering for long, uniform-height lists (12k-track Liked Songs, large sidebars).
+// Only the rows near the viewport are mounted; the list element gets top/bottom padding standing in for the rest.
+// The scroll container is the nearest scrollable ancestor, so callers keep their existing layout.
+
+import { useLayoutEffect, useRef, useState } from 'react';
+
+function findScrollParent(el) {
+  for (let node = el.parentElement; node; node = node.parentElement) {
+    const { overflowY } = getComputedStyle(node);
+    if (overflowY === 'auto' || overflowY === 'scroll') return node;
+  }
+  return null;
+}
+
+// Top of the list relative to the top of the visible area, and the visible height
+function measureViewport(list, scroller) {
+  const listTop = list.getBoundingClientRect().top;
+  if (!scroller) return { top: -listTop, height: window.innerHeight };
+  return { top: scroller.getBoundingClientRect().top - listTop, height: scroller.clientHeight };
+}
+
+// `keys` are the stable row keys in display order. When they change (filtering), the first visible row stays
+// where it was if it is still in the list. A change of `resetKey` (another playlist, another sort) scrolls back to the top.
+export function useVirtualRows({ keys, resetKey = null, estimatedRowHeight = 36, overscan = 12 }) {
+  const listRef = useRef(null);
+  const scrollerRef = useRef(null);
+  const anchorRef = useRef(null);
+  const keysRef = useRef(keys);
+  const resetKeyRef = useRef(resetKey);
+  const [rowHeight, setRowHeight] = useState(estimatedRowHeight);
+  const rowHeightRef = useRef(rowHeight);
+  const [viewport, setViewport] = useState({ top: 0, height: 800 });
+
+  useLayoutEffect(() => {
+    const list = listRef.current;
+    if (!list) return undefined;
+    const scroller = findScrollParent(list);
+    scrollerRef.current = scroller;
+    const update = () => {
+      const next = measureViewport(list, scroller);
+      const index = Math.floor(next.top / rowHeightRef.current);
+      anchorRef.current = next.top > 0 && index < keysRef.current.length
+        ? { key: keysRef.current[index], offset: next.top - index * rowHeightRef.current }
+        : null;
+      setViewport((prev) => (prev.top === next.top && prev.height === next.height ? prev : next));
+    };
+    update();
+    const target = scroller || window;
+    target.addEventListener('scroll', update, { passive: true });
+    window.addEventListener('resize', update);
+    return () => {
+      target.removeEventListener('scroll', update);
+      window.removeEventListener('resize', update);
+    };
+  }, []);
+
+  // Runs before paint so a filter change never flashes the wrong rows
+  useLayoutEffect(() => {
+    if (keysRef.current === keys && resetKeyRef.current === resetKey) return;
+    const list = listRef.current;
+    const scroller = scrollerRef.current;
+    const anchor = anchorRef.current;
+    const reset = resetKeyRef.current !== resetKey;
+    keysRef.current = keys;
+    resetKeyRef.current = resetKey;
+    if (!list) return;
+    if (reset) {
+      anchorRef.current = null;
+      if (scroller) scroller.scrollTop = 0;
+    } else if (anchor) {
+      const index = keys.indexOf(anchor.key);
+      const delta = index === -1 ? 0 : index * rowHeightRef.current + anchor.offset - measureViewport(list, scroller).top;
+      if (delta && scroller) scroller.scrollTop += delta;
+      else if (delta) window.scrollBy(0, delta);
+    }
+    // Re-measure now rather than on the next scroll event, which only arrives after a frame
+    setViewport(measureViewport(list, scroller));
+  }, [keys, resetKey]);
+
+  const count = keys.length;
+  const start = Math.max(0, Math.min(count, Math.floor(viewport.top / rowHeight) - overscan));
+  const end = Math.max(start, Math.min(count, Math.ceil((viewport.top + viewport.height) / rowHeight) + overscan));
+
+  // Row height is measured from the mounted rows (distance between two rows includes any gap)
+  useLayoutEffect(() => {
+    const rows = listRef.current?.children;
+    if (!rows?.length) return;
+    const measured = rows.length > 1 ? rows[1].offsetTop - rows[0].offsetTop : rows[0].offsetHeight;
+    if (measured > 0 && Math.abs(measured - rowHeightRef.current) > 0.5) {
+      rowHeightRef.current = measured;
+      setRowHeight(measured);
+    }
+  }, [start, end]);
+
+  return {
+    listRef,
+    start,
+    end,
+    style: { paddingTop: start * rowHeight, paddingBottom: (count - end) * rowHeight },
+  };
+}
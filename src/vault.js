@@ -0,0 +1,257 @@
+// Optional passphrase lock. With a passphrase set, cached libraries (cacheDb.js) and Spotify tokens (spotifyAuth.js)
+// are stored encrypted with AES-GCM under a random data key, and names in storage keys are replaced by HMACs of
+// them. The data key is itself encrypted with a key derived from the passphrase (PBKDF2-SHA-256), so changing the
+// passphrase only re-encrypts that key. Unlocked keys live in memory until the page is closed or locks again.
+
+const VAULT_KEY = 'playlistory_vault_v1';
+// Sealed { localStorage key: value } of everything written through writeSecret while a passphrase is set
+const SECRETS_KEY = 'playlistory_vault_secrets_v1';
+const PBKDF2_ITERATIONS = 600_000;
+
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+export class VaultLockedError extends Error {
+  constructor(message = 'PlayListory is locked. Unlock it with your passphrase first.') {
+    super(message);
+    this.name = 'VaultLockedError';
+  }
+}
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// { aesKey, hmacKey, secrets: Map } while unlocked
+let unlocked = null;
+let persisting = Promise.resolve();
+const listeners = new Set();
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+function readVault() {
+  try {
+    const vault = JSON.parse(localStorage.getItem(VAULT_KEY) || 'null');
+    return vault?.wrappedKey ? vault : null;
+  } catch {
+    return null;
+  }
+}
+
+function notify() {
+  for (const listener of listeners) listener();
+}
+
+// `listener()` runs whenever the vault is set up, unlocked, locked or removed; returns an unsubscribe function
+export function onVaultChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function isVaultEnabled() {
+  return !!readVault();
+}
+
+export function isVaultUnlocked() {
+  return !!unlocked;
+}
+
+// Minutes without input before the app locks itself; 0 turns auto-lock off
+export function getAutoLockMinutes() {
+  const minutes = Number(readVault()?.autoLockMinutes);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_AUTO_LOCK_MINUTES;
+}
+
+export function setAutoLockMinutes(minutes) {
+  const vault = readVault();
+  if (!vault) return;
+  localStorage.setItem(VAULT_KEY, JSON.stringify({ ...vault, autoLockMinutes: minutes }));
+  notify();
+}
+
+async function encrypt(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+  return { iv, data };
+}
+
+async function decrypt(key, { iv, data }) {
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data));
+}
+
+async function deriveWrappingKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// The data key is 64 random bytes: 32 for AES-GCM, 32 for the HMAC that hides names in storage keys
+async function importDataKey(raw) {
+  const [aesKey, hmacKey] = await Promise.all([
+    crypto.subtle.importKey('raw', raw.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+    crypto.subtle.importKey('raw', raw.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']),
+  ]);
+  return { aesKey, hmacKey };
+}
+
+async function wrapDataKey(raw, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const wrappingKey = await deriveWrappingKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const { iv, data } = await encrypt(wrappingKey, raw);
+  return { salt: toBase64(salt), iterations: PBKDF2_ITERATIONS, iv: toBase64(iv), wrappedKey: toBase64(data) };
+}
+
+async function unwrapDataKey(vault, passphrase) {
+  const wrappingKey = await deriveWrappingKey(passphrase, fromBase64(vault.salt), vault.iterations);
+  try {
+    return await decrypt(wrappingKey, { iv: fromBase64(vault.iv), data: fromBase64(vault.wrappedKey) });
+  } catch {
+    throw new Error('Wrong passphrase.');
+  }
+}
+
+function requireUnlocked() {
+  if (!unlocked) throw new VaultLockedError();
+  return unlocked;
+}
+
+// Encrypts any JSON value; the result can be stored in IndexedDB as is
+export async function seal(value) {
+  const { aesKey } = requireUnlocked();
+  return { sealed: 1, ...(await encrypt(aesKey, encoder.encode(JSON.stringify(value)))) };
+}
+
+export function isSealed(value) {
+  return value?.sealed === 1 && value.iv instanceof Uint8Array;
+}
+
+export async function unseal(value) {
+  const { aesKey } = requireUnlocked();
+  return JSON.parse(decoder.decode(await decrypt(aesKey, value)));
+}
+
+// Same text, same result, so hashed keys still find their records
+export async function blindKey(text) {
+  const { hmacKey } = requireUnlocked();
+  const mac = await crypto.subtle.sign('HMAC', hmacKey, encoder.encode(text));
+  return toBase64(new Uint8Array(mac).slice(0, 18));
+}
+
+function persistSecrets() {
+  const { aesKey, secrets } = requireUnlocked();
+  const text = JSON.stringify(Object.fromEntries(secrets));
+  const write = persisting.then(async () => {
+    const { iv, data } = await encrypt(aesKey, encoder.encode(text));
+    localStorage.setItem(SECRETS_KEY, JSON.stringify({ iv: toBase64(iv), data: toBase64(data) }));
+  });
+  // Writes stay in order; one that failed doesn't hold up the next
+  persisting = write.catch(() => null);
+  return write;
+}
+
+// localStorage for small secrets such as tokens. Without a passphrase these are plain localStorage items;
+// with one they live in the sealed secrets record, and read as null while locked.
+export function readSecret(key) {
+  if (!isVaultEnabled()) return localStorage.getItem(key);
+  return unlocked?.secrets.get(key) ?? null;
+}
+
+export function writeSecret(key, value) {
+  if (!isVaultEnabled()) {
+    if (value == null) localStorage.removeItem(key);
+    else localStorage.setItem(key, value);
+    return;
+  }
+  const { secrets } = requireUnlocked();
+  if (value == null) secrets.delete(key);
+  else secrets.set(key, value);
+  persistSecrets();
+}
+
+export async function unlockVault(passphrase) {
+  const vault = readVault();
+  if (!vault) return;
+  const keys = await importDataKey(await unwrapDataKey(vault, passphrase));
+  const stored = JSON.parse(localStorage.getItem(SECRETS_KEY) || 'null');
+  const secrets = stored ? JSON.parse(decoder.decode(await decrypt(keys.aesKey, { iv: fromBase64(stored.iv), data: fromBase64(stored.data) }))) : {};
+  unlocked = { ...keys, secrets: new Map(Object.entries(secrets)) };
+  notify();
+}
+
+export function lockVault() {
+  if (!unlocked) return;
+  unlocked = null;
+  notify();
+}
+
+// First step of setting a passphrase: the new keys are usable (so data can be sealed with them) but nothing
+// is stored until commitVault; lockVault() drops them if sealing fails. Resolves to what commitVault needs.
+export async function prepareVault(passphrase) {
+  if (isVaultEnabled()) throw new Error('A passphrase is already set.');
+  const raw = crypto.getRandomValues(new Uint8Array(64));
+  const wrapped = await wrapDataKey(raw, passphrase);
+  unlocked = { ...(await importDataKey(raw)), secrets: new Map() };
+  return wrapped;
+}
+
+// Turns the lock on with the keys from prepareVault; `secretKeys` are the localStorage items to move into it
+export async function commitVault(wrapped, { secretKeys = [] } = {}) {
+  const { secrets } = requireUnlocked();
+  for (const key of secretKeys) {
+    const value = localStorage.getItem(key);
+    if (value != null) secrets.set(key, value);
+  }
+  try {
+    await persistSecrets();
+    localStorage.setItem(VAULT_KEY, JSON.stringify({ ...wrapped, autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES }));
+  } catch (e) {
+    // The plain items are still in place; a half-written secrets record would only go stale
+    localStorage.removeItem(SECRETS_KEY);
+    throw e;
+  }
+  for (const key of secretKeys) localStorage.removeItem(key);
+  notify();
+}
+
+// Throws unless `passphrase` is the current one
+export async function checkPassphrase(passphrase) {
+  const vault = readVault();
+  if (vault) await unwrapDataKey(vault, passphrase);
+}
+
+// Only the data key is re-encrypted; stored data stays as it is
+export async function changePassphrase(current, next) {
+  const vault = readVault();
+  if (!vault) throw new Error('No passphrase is set.');
+  const raw = await unwrapDataKey(vault, current);
+  localStorage.setItem(VAULT_KEY, JSON.stringify({ ...(await wrapDataKey(raw, next)), autoLockMinutes: getAutoLockMinutes() }));
+  notify();
+}
+
+// Turns the lock off, putting secrets back into plain localStorage. Sealed cache data must be re-stored first.
+export async function disableVault() {
+  const { secrets } = requireUnlocked();
+  await persisting;
+  for (const [key, value] of secrets) localStorage.setItem(key, value);
+  localStorage.removeItem(SECRETS_KEY);
+  localStorage.removeItem(VAULT_KEY);
+  unlocked = null;
+  notify();
+}
+
+// For a forgotten passphrase: forgets the keys and the secrets they protected. Sealed cache data becomes unreadable.
+export function resetVault() {
+  localStorage.removeItem(SECRETS_KEY);
+  localStorage.removeItem(VAULT_KEY);
+  unlocked = null;
+  notify();
+}